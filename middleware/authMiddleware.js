@@ -1,12 +1,15 @@
 import jwt from 'jsonwebtoken';
+import { isSessionRevoked, isUserSuspended } from '../utils/sessionUtils.js';
 
 /**
  * Protect routes by validating a JWT.
  * Accepts either:
  *  - x-auth-token header: "the_token"
  *  - Authorization header: "Bearer the_token"
+ * Tokens whose session has been logged out, or whose user has been
+ * suspended, are rejected.
  */
-export default function auth(req, res, next) {
+export default async function auth(req, res, next) {
   try {
     // Grab token from either header
     const authHeader = req.header('x-auth-token') || req.header('authorization');
@@ -38,7 +41,19 @@ export default function auth(req, res, next) {
       return res.status(401).json({ msg: 'Invalid token payload' });
     }
 
+    // Reject tokens belonging to a revoked session (logout, password change)
+    if (decoded.sid && await isSessionRevoked(decoded.sid)) {
+      return res.status(401).json({ msg: 'Session has been revoked, please log in again' });
+    }
+
+    // Suspension applies at once, even to tokens issued before it
+    if (await isUserSuspended(decoded.user.id)) {
+      return res.status(403).json({ msg: 'Your account has been suspended' });
+    }
+
     req.user = decoded.user;
+    req.sessionId = decoded.sid;
+    req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;   // long-lived streams close then
     next();
 
   } catch (err) {
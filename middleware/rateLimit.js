@@ -0,0 +1,73 @@
+import redisClient from '../utils/redisClient.js';
+
+/**
+ * Fixed-window rate limiter backed by Redis, so limits hold across instances.
+ *
+ * Options:
+ *  - name:          label used in the Redis key (e.g. 'login:ip')
+ *  - windowSeconds: length of the window
+ *  - max:           requests allowed per key per window
+ *  - keyBy:         (req) => string identifying the caller; return null to skip
+ *  - message:       body msg on 429
+ *
+ * Usage:
+ *   router.post('/login', rateLimit({ name: 'login:ip', windowSeconds: 900, max: 20 }), ...)
+ *
+ * Redis failures never block a request; the limiter just lets it through.
+ */
+export default function rateLimit({
+  name,
+  windowSeconds,
+  max,
+  keyBy = byIp,
+  message = 'Too many requests, please try again later'
+}) {
+  return async function (req, res, next) {
+    let id;
+    try {
+      id = keyBy(req);
+    } catch {
+      id = null;
+    }
+    if (!id) return next();
+
+    const key = `ratelimit:${name}:${id}`;
+    try {
+      const count = await redisClient.incr(key);
+      if (count === 1) await redisClient.expire(key, windowSeconds);
+
+      let ttl = await redisClient.ttl(key);
+      if (ttl < 0) {
+        // key lost its expiry somehow; never let it live forever
+        await redisClient.expire(key, windowSeconds);
+        ttl = windowSeconds;
+      }
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+      res.set('RateLimit-Reset', String(ttl));
+
+      if (count > max) {
+        res.set('Retry-After', String(ttl));
+        return res.status(429).json({ msg: message, retryAfter: ttl });
+      }
+    } catch (err) {
+      console.error(`Rate limit check failed (${name}):`, err);
+    }
+    next();
+  };
+}
+
+// Key helpers
+export function byIp(req) {
+  return req.ip;
+}
+
+export function byUser(req) {
+  return req.user ? req.user.id : null;
+}
+
+export function byEmail(req) {
+  const email = req.body && req.body.email;
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+}
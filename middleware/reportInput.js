@@ -0,0 +1,35 @@
+import multer from 'multer';
+import { body } from 'express-validator';
+import rateLimit, { byUser } from './rateLimit.js';
+import { isActiveCategory } from '../utils/categoryUtils.js';
+
+// Shared by every endpoint that files a report (the app API and Open311),
+// so both accept the same fields, images and rate.
+
+// --- Multer setup with fileFilter ---
+// Files are held in memory and only written to disk once processed (see utils/imageProcessing.js)
+export const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith('image/')) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'Only images allowed'));
+    }
+    cb(null, true);
+  }
+});
+
+// Per-user throttle on filing reports
+export const createReportLimit = rateLimit({
+  name: 'reports:create', windowSeconds: 60 * 60, max: 20, keyBy: byUser,
+  message: 'You have filed too many reports recently, please try again later'
+});
+
+// Fields of a new report
+export const newReportValidators = [
+  body('issueType').isString().notEmpty().custom(isActiveCategory),
+  body('latitude').isFloat({ min: -90, max: 90 }),
+  body('longitude').isFloat({ min: -180, max: 180 }),
+  body('description').isString().isLength({ min: 5, max: 500 }),
+  body('address').optional().isString().trim().isLength({ max: 255 })
+];
@@ -15,3 +15,47 @@ export function checkAdmin(req, res, next) {
     res.status(500).json({ msg: 'Server error verifying admin role' });
   }
 }
+
+/**
+ * What each role may do. Routes check a permission rather than a role name
+ * so roles can be added without touching every route.
+ */
+export const PERMISSIONS = {
+  'reports:assign':    ['admin'],          // assign/unassign crews
+  'reports:work':      ['admin', 'crew'],  // work on reports assigned to you
+  'comments:official': ['admin', 'crew']   // comments appear as official responses
+};
+
+/**
+ * Allow only users whose role is one of `roles`.
+ *
+ * Usage:
+ *   router.get('/', auth, checkRole('admin', 'crew'), handler)
+ */
+export function checkRole(...roles) {
+  return function (req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ msg: 'No user information, authorization denied' });
+    }
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ msg: 'You do not have access to this resource' });
+    }
+    next();
+  };
+}
+
+/**
+ * Allow only users whose role grants `permission` (see PERMISSIONS).
+ */
+export function checkPermission(permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) throw new Error(`Unknown permission: ${permission}`);
+  return checkRole(...roles);
+}
+
+/**
+ * Whether a role grants a permission, for checks inside handlers.
+ */
+export function hasPermission(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
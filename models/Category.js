@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Issue categories a report can be filed under (Report.issueType holds the name)
+const categorySchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 50
+  },
+  icon: {                    // icon identifier or URL the mobile app renders
+    type: String,
+    trim: true,
+    default: ''
+  },
+  active: {                  // inactive categories stay filterable but accept no new reports
+    type: Boolean,
+    default: true
+  },
+  slaDays: {                 // target days from report to fix
+    type: Number,
+    min: 0,
+    default: 7
+  }
+}, { timestamps: true });
+
+export default mongoose.model('Category', categorySchema);
@@ -1,9 +1,43 @@
 import mongoose from 'mongoose';
 
+// published: visible to everyone
+// held:      caught by the word filter, waiting for an admin to approve it
+// hidden:    removed from view by an admin (kept for the record)
+export const COMMENT_STATUSES = ['published', 'held', 'hidden'];
+
+// Query condition for comments everyone may see (comments from before
+// moderation existed have no status and count as published)
+export const VISIBLE_COMMENTS = { status: { $in: ['published', null] } };
+
+const flagSchema = new mongoose.Schema({
+  user:      { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reason:    { type: String, trim: true, maxlength: 200 },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const commentSchema = new mongoose.Schema({
   user:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   report: { type: mongoose.Schema.Types.ObjectId, ref: 'Report', required: true },
-  text:   { type: String, required: true, maxlength: 300 }
+  // Removed when the author deletes a comment that has replies (see deletedAt)
+  text:   { type: String, required() { return !this.deletedAt; }, maxlength: 300 },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },   // replied-to comment
+  thread: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },   // top-level comment of the thread
+  official: { type: Boolean, default: false },   // written by city staff (admin or crew)
+  pinned:   { type: Boolean, default: false },   // listed before other top-level comments
+  deletedAt: Date,   // deleted by its author, kept as a placeholder for the replies
+  status: { type: String, enum: COMMENT_STATUSES, default: 'published' },
+  heldFor:   [String],                 // word-list terms that held the comment
+  flags:     [flagSchema],             // one per user who flagged it
+  flagCount: { type: Number, default: 0 },
+  moderatedBy:    { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  moderatedAt:    Date,
+  moderationNote: { type: String, trim: true, maxlength: 500 }
 }, { timestamps: true });
 
+commentSchema.index({ report: 1, createdAt: -1 });
+commentSchema.index({ report: 1, parent: 1, pinned: -1, createdAt: -1 });   // top-level page
+commentSchema.index({ thread: 1 });
+commentSchema.index({ text: 'text' });
+commentSchema.index({ status: 1, flagCount: -1, createdAt: -1 });   // admin review queue
+
 export default mongoose.model('Comment', commentSchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Events a user can be notified about; each has per-channel preferences on User
+export const NOTIFICATION_TYPES = [
+  'report:created',
+  'report:updated',
+  'report:deleted',
+  'report:statusChanged',
+  'report:merged',
+  'report:assigned',
+  'report:commented',        // a reply or official response on your report
+  'comment:reply'            // a reply to your comment
+];
+
+const notificationSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 120
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  report: {                  // the report it is about, if any (may since have been deleted)
+    type: Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  readAt: Date
+}, { timestamps: true });
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// A rendered email waiting for (or done with) delivery by the outbox worker
+const outboxEmailSchema = new Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  template: {                // name in utils/emailTemplates.js, for inspection
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: String,
+  text: String,
+  status: {
+    type: String,
+    enum: OUTBOX_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: Date,         // claim expiry while a worker is sending
+  lastError: String,
+  messageId: String,
+  sentAt: Date
+}, { timestamps: true });
+
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxEmailSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('OutboxEmail', outboxEmailSchema);
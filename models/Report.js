@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { REPORT_STATUSES } from '../utils/reportStatuses.js';
 
 const { Schema } = mongoose;
 
@@ -8,9 +9,8 @@ const reportSchema = new Schema({
     ref: 'User',
     required: true
   },
-  issueType: {
+  issueType: {               // Category name; validated against the categories collection
     type: String,
-    enum: ['Pothole','Streetlight','Graffiti','Other'],
     required: true
   },
   location: {
@@ -33,20 +33,63 @@ const reportSchema = new Schema({
     maxlength: 500,
     required: true
   },
-  imageUrls: {
+  imageUrls: {               // full-size URLs, kept for older clients
     type: [String],
     default: []
   },
+  images: {                  // every processed size of each upload
+    type: [{
+      _id:    false,
+      thumb:  String,
+      medium: String,
+      full:   String,
+      width:  Number,        // of the full variant
+      height: Number
+    }],
+    default: []
+  },
   status: {
     type: String,
-    enum: ['Pending','In Progress','Fixed','Rejected'],
+    enum: REPORT_STATUSES,
     default: 'Pending'
   },
   rejectReason: {
     type: String  
+  },
+  assignee: {               // crew member responsible for the fix
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: {
+    type: Date
+  },
+  fixedAt: {                // when the report last reached Fixed
+    type: Date
+  },
+  upvoteCount: {             // denormalized for sorting; see utils/reportCounters.js
+    type: Number,
+    default: 0
+  },
+  commentCount: {
+    type: Number,
+    default: 0
+  },
+  mergedInto: {              // set when an admin folds this duplicate into another report
+    type: Schema.Types.ObjectId,
+    ref: 'Report'
   }
 }, { timestamps: true });
 
 reportSchema.index({ location: '2dsphere' });
+reportSchema.index({ assignee: 1, status: 1 });
+// Keyset pagination for GET /api/reports (one per sort option)
+reportSchema.index({ createdAt: -1, _id: -1 });
+reportSchema.index({ upvoteCount: -1, _id: -1 });
+reportSchema.index({ commentCount: -1, _id: -1 });
+// Full-text search (GET /api/reports/search); comments have their own text index
+reportSchema.index(
+  { description: 'text', address: 'text' },
+  { weights: { description: 3, address: 2 }, name: 'report_text' }
+);
 
 export default mongoose.model('Report', reportSchema);
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// One document per report status transition (including the initial Pending on creation)
+const statusHistorySchema = new mongoose.Schema({
+  report: { type: mongoose.Schema.Types.ObjectId, ref: 'Report', required: true },
+  actor:  { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  from:   { type: String },                 // null for the creation entry
+  to:     { type: String, required: true },
+  note:   { type: String, maxlength: 500 }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+statusHistorySchema.index({ report: 1, createdAt: 1 });
+
+export default mongoose.model('StatusHistory', statusHistorySchema);
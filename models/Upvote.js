@@ -7,5 +7,6 @@ const upvoteSchema = new mongoose.Schema({
 
 // Prevent duplicate upvotes per user+report
 upvoteSchema.index({ user: 1, report: 1 }, { unique: true });
+upvoteSchema.index({ report: 1 });
 
 export default mongoose.model('Upvote', upvoteSchema);
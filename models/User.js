@@ -2,6 +2,12 @@ import mongoose from 'mongoose';
 
 const { Schema } = mongoose;
 
+// Per-event channel choices; missing events fall back to both channels on
+const channelPreferenceSchema = new Schema({
+  inApp: { type: Boolean, default: true },
+  email: { type: Boolean, default: true }
+}, { _id: false });
+
 const userSchema = new Schema({
   name: {
     type: String,
@@ -23,7 +29,7 @@ const userSchema = new Schema({
   },
   role: {
     type: String,
-    enum: ['user','admin'],
+    enum: ['user','crew','admin'],   // crew = field worker
     default: 'user'
   },
   mobile: {
@@ -44,7 +50,18 @@ const userSchema = new Schema({
   emailVerificationTokenExpires: Date,
   verifiedAt: Date,
   resetPasswordToken: String,
-  resetPasswordExpires: Date
+  resetPasswordExpires: Date,
+  suspendedAt: Date,                  // set while an admin has suspended the account
+  suspendedReason: String,
+  suspendedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notificationPreferences: {          // keyed by NOTIFICATION_TYPES
+    type: Map,
+    of: channelPreferenceSchema,
+    default: {}
+  }
 }, {
   timestamps: { createdAt: 'createdAt' }
 });
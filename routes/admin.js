@@ -1,49 +1,57 @@
 import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
 import Report from '../models/Report.js';
 import User from '../models/User.js';
 import auth from '../middleware/authMiddleware.js';
-import { checkAdmin } from '../middleware/roleMiddleware.js';
-import redisClient from '../utils/redisClient.js';
-import sendEmail from '../utils/sendEmail.js';
+import { checkAdmin, checkPermission } from '../middleware/roleMiddleware.js';
+import notify from '../utils/notify.js';
+import {
+  cached,
+  invalidateReportCaches,
+  getCacheStats,
+  TAGS
+} from '../utils/cacheUtils.js';
+import { mergeReports } from '../utils/duplicateUtils.js';
+import { resolveReportImages } from '../utils/storage/index.js';
+import { searchReports, searchFilter } from '../utils/reportSearch.js';
+import { EXPORT_FORMATS, streamReportExport } from '../utils/reportExport.js';
+import {
+  MAX_BULK_ITEMS,
+  BulkSelectionError,
+  selectReports,
+  bulkChangeStatus,
+  bulkAssign,
+  bulkDelete
+} from '../utils/bulkReports.js';
+import {
+  REPORT_STATUSES,
+  OPEN_STATUSES,
+  RESOLVED_STATUSES,
+  canTransition,
+  transitionError,
+  applyTransition
+} from '../utils/reportLifecycle.js';
 
 const router = express.Router();
 
+// Middleware to check express-validator results
+function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}
+
 // GET /api/admin/dashboard
 // Returns total, pending, fixed counts + avg resolution + type distribution
 router.get('/dashboard', auth, checkAdmin, async (req, res) => {
   try {
-    const cacheKey = 'admin:dashboard';
-    const cached = await redisClient.get(cacheKey);
-    if (cached) return res.json(JSON.parse(cached));
-
-    const total = await Report.countDocuments();
-    const pending = await Report.countDocuments({ status: 'Pending' });
-    const fixed = await Report.countDocuments({ status: 'Fixed' });
-
-    const fixedDocs = await Report.find({ status: 'Fixed' }).select('createdAt updatedAt');
-    const avgResolution = fixedDocs.length
-      ? (fixedDocs.reduce((sum, r) =>
-          sum + ((r.updatedAt - r.createdAt)/(1000*60*60*24)), 0
-        ) / fixedDocs.length).toFixed(1)
-      : 0;
-
-    const byTypeAgg = await Report.aggregate([
-      { $group: { _id: '$issueType', count: { $sum: 1 } } }
-    ]);
-    const typeDistribution = byTypeAgg.map(t => ({
-      type: t._id,
-      count: t.count
-    }));
-
-    const result = {
-      total,
-      pending,
-      fixed,
-      avgResolution: parseFloat(avgResolution),
-      typeDistribution
-    };
-
-    await redisClient.setEx(cacheKey, 300, JSON.stringify(result)); // cache 5 mins
+    const result = await cached(
+      { key: 'admin:dashboard', tags: [TAGS.reports] },
+      computeDashboard
+    );
     res.json(result);
   } catch (err) {
     console.error(err);
@@ -51,26 +59,92 @@ router.get('/dashboard', auth, checkAdmin, async (req, res) => {
   }
 });
 
+// Recomputed on a cache miss; cached until any report changes (5 min TTL)
+async function computeDashboard() {
+  const total = await Report.countDocuments();
+  const pending = await Report.countDocuments({ status: 'Pending' });
+  const fixed = await Report.countDocuments({ status: { $in: RESOLVED_STATUSES } });
+
+  // Resolution time runs from creation to when the report reached Fixed
+  // (falls back to updatedAt for reports fixed before fixedAt was recorded)
+  const [resolutionAgg] = await Report.aggregate([
+    { $match: { status: { $in: RESOLVED_STATUSES } } },
+    {
+      $group: {
+        _id: null,
+        avgMs: {
+          $avg: { $subtract: [{ $ifNull: ['$fixedAt', '$updatedAt'] }, '$createdAt'] }
+        }
+      }
+    }
+  ]);
+  const avgResolution = resolutionAgg
+    ? (resolutionAgg.avgMs / (1000*60*60*24)).toFixed(1)
+    : 0;
+
+  const byTypeAgg = await Report.aggregate([
+    { $group: { _id: '$issueType', count: { $sum: 1 } } }
+  ]);
+  const typeDistribution = byTypeAgg.map(t => ({
+    type: t._id,
+    count: t.count
+  }));
+
+  return {
+    total,
+    pending,
+    fixed,
+    avgResolution: parseFloat(avgResolution),
+    typeDistribution
+  };
+}
+
+// GET /api/admin/cache/stats
+// Hit/miss counters per cache namespace (reports, admin, categories)
+router.get('/cache/stats', auth, checkAdmin, async (req, res) => {
+  try {
+    res.json(await getCacheStats());
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ msg: 'Server error fetching cache stats' });
+  }
+});
+
+// Filter and sort shared by the report list and its export
+function reportListQuery({ status = 'all', type = 'all', sortBy = 'createdAt', sortOrder = 'desc' }) {
+  const filter = {};
+  if (status !== 'all') filter.status = status;
+  if (type !== 'all') filter.issueType = type;
+  const sortField = sortBy === 'upvotes' ? 'upvoteCount' : 'createdAt';
+  const sortDirection = sortOrder === 'asc' ? 1 : -1;
+  return { filter, sort: { [sortField]: sortDirection } };
+}
+
 // GET /api/admin/reports
-// Supports filtering by status/type, pagination, and sorting by time/upvotes
+// Supports filtering by status/type, pagination, and sorting by time/upvotes.
+// With ?q= it becomes a relevance-ranked text search (with highlights) instead.
 router.get('/reports', auth, checkAdmin, async (req, res) => {
   try {
-    const {
-      status = 'all',
-      type = 'all',
-      page = 1,
-      limit = 10,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
-
-    const filter = {};
-    if (status !== 'all') filter.status = status;
-    if (type !== 'all') filter.issueType = type;
+    const { page = 1, limit = 10, q } = req.query;
+    const { filter, sort } = reportListQuery(req.query);
+
+    if (q && String(q).trim()) {
+      const { total, reports } = await searchReports({
+        q: String(q).trim(),
+        filter,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        userFields: 'name email'
+      });
+      return res.json({
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        reports: await resolveReportImages(reports)
+      });
+    }
 
     const skip = (page - 1) * limit;
-    const sortField = sortBy === 'upvotes' ? 'upvoteCount' : 'createdAt';
-    const sortDirection = sortOrder === 'asc' ? 1 : -1;
 
     // Total count (before aggregation)
     const total = await Report.countDocuments(filter);
@@ -105,7 +179,7 @@ router.get('/reports', auth, checkAdmin, async (req, res) => {
           preserveNullAndEmptyArrays: true
         }
       },
-      { $sort: { [sortField]: sortDirection } },
+      { $sort: sort },
       { $skip: skip },
       { $limit: parseInt(limit) }
     ]);
@@ -114,7 +188,7 @@ router.get('/reports', auth, checkAdmin, async (req, res) => {
       total,
       page: parseInt(page),
       limit: parseInt(limit),
-      reports
+      reports: await resolveReportImages(reports)
     });
   } catch (err) {
     console.error(err);
@@ -122,77 +196,369 @@ router.get('/reports', auth, checkAdmin, async (req, res) => {
   }
 });
 
+// GET /api/admin/reports/export?format=csv|geojson
+// Streams every report matching the list filters (status, type, q, sortBy,
+// sortOrder); ?q= selects the same reports as the list's search, however
+// many match, with the text match done by the streamed query. Reporter
+// name and email are included only with ?includeReporter=true.
+router.get('/reports/export', auth, checkAdmin, async (req, res) => {
+  try {
+    const { format = 'csv', q, includeReporter } = req.query;
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ msg: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const { filter: listFilter, sort } = reportListQuery(req.query);
+    const filter = q && String(q).trim()
+      ? await searchFilter({ q: String(q).trim(), filter: listFilter })
+      : listFilter;
+
+    await streamReportExport(res, { filter, sort, format, includeReporter: includeReporter === 'true' });
+  } catch (err) {
+    console.error('Error exporting reports:', err);
+    // Once streaming has started the status line is gone; cut the download short instead
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ msg: 'Server error exporting reports' });
+  }
+});
+
+// Parses the { ids } or { filter } selection of a bulk request.
+// filter takes the list filters (status, type, q) and must narrow something down;
+// q selects the same reports as the list's search.
+async function bulkSelection({ ids, filter }) {
+  if (Array.isArray(ids)) {
+    const unique = [...new Set(ids.map(String))];
+    if (!unique.length || unique.length > MAX_BULK_ITEMS) {
+      return { error: `ids must list between 1 and ${MAX_BULK_ITEMS} reports` };
+    }
+    if (!unique.every(id => mongoose.isValidObjectId(id))) {
+      return { error: 'Invalid report ID' };
+    }
+    return { ids: unique };
+  }
+  if (filter && typeof filter === 'object') {
+    if (filter.status !== undefined && !['all', ...REPORT_STATUSES].includes(filter.status)) {
+      return { error: 'Invalid status in filter' };
+    }
+    if (filter.type !== undefined && typeof filter.type !== 'string') {
+      return { error: 'Invalid type in filter' };
+    }
+    const { filter: listFilter } = reportListQuery(filter);
+    if (filter.q && String(filter.q).trim()) {
+      return { filter: await searchFilter({ q: String(filter.q).trim(), filter: listFilter }) };
+    }
+    if (!Object.keys(listFilter).length) {
+      return { error: 'filter must set at least one of status, type or q' };
+    }
+    return { filter: listFilter };
+  }
+  return { error: 'Provide either ids or filter' };
+}
+
+// Shared response shape for bulk endpoints
+function bulkResponse(results) {
+  const succeeded = results.filter(r => r.ok).length;
+  return { total: results.length, succeeded, failed: results.length - succeeded, results };
+}
+
+// POST /api/admin/reports/bulk/status
+// { ids | filter, status, rejectReason, note } - one shared reason for all rejections
+router.post(
+  '/reports/bulk/status',
+  auth,
+  checkAdmin,
+  body('note').optional().isString().trim().isLength({ max: 500 }),
+  body('rejectReason').optional().isString().trim().isLength({ max: 500 }),
+  validate,
+  async (req, res) => {
+    try {
+      const { status, rejectReason, note } = req.body;
+      if (!REPORT_STATUSES.includes(status)) {
+        return res.status(400).json({ msg: 'Invalid status' });
+      }
+      if (status === 'Merged') {
+        return res.status(400).json({ msg: 'Use POST /api/admin/reports/:id/merge to merge reports' });
+      }
+      if (status === 'Rejected' && (!rejectReason || !rejectReason.trim())) {
+        return res.status(400).json({ msg: 'Rejection reason is required' });
+      }
+      const selection = await bulkSelection(req.body);
+      if (selection.error) {
+        return res.status(400).json({ msg: selection.error });
+      }
+
+      const { reports, missing } = await selectReports(selection);
+      const results = await bulkChangeStatus({
+        reports, missing, status, rejectReason, note, actor: req.user.id
+      });
+      res.json(bulkResponse(results));
+    } catch (err) {
+      if (err instanceof BulkSelectionError) {
+        return res.status(400).json({ msg: err.message });
+      }
+      console.error('Error bulk updating report status:', err);
+      res.status(500).json({ msg: 'Server error updating statuses' });
+    }
+  }
+);
+
+// POST /api/admin/reports/bulk/assign
+// { ids | filter, userId } - assigns every open report to one crew member
+router.post('/reports/bulk/assign', auth, checkPermission('reports:assign'), async (req, res) => {
+  try {
+    const { userId } = req.body;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ msg: 'Invalid ID' });
+    }
+    const selection = await bulkSelection(req.body);
+    if (selection.error) {
+      return res.status(400).json({ msg: selection.error });
+    }
+    const assignee = await User.findById(userId).select('name email role');
+    if (!assignee || !['crew', 'admin'].includes(assignee.role)) {
+      return res.status(400).json({ msg: 'Assignee must be a crew member or admin' });
+    }
+
+    const { reports, missing } = await selectReports(selection);
+    res.json(bulkResponse(await bulkAssign({ reports, missing, assignee })));
+  } catch (err) {
+    if (err instanceof BulkSelectionError) {
+      return res.status(400).json({ msg: err.message });
+    }
+    console.error('Error bulk assigning reports:', err);
+    res.status(500).json({ msg: 'Server error assigning reports' });
+  }
+});
+
+// POST /api/admin/reports/bulk/delete
+// { ids | filter } - removes the reports with their upvotes, comments and images
+router.post('/reports/bulk/delete', auth, checkAdmin, async (req, res) => {
+  try {
+    const selection = await bulkSelection(req.body);
+    if (selection.error) {
+      return res.status(400).json({ msg: selection.error });
+    }
+
+    const { reports, missing } = await selectReports(selection);
+    res.json(bulkResponse(await bulkDelete({ reports, missing })));
+  } catch (err) {
+    if (err instanceof BulkSelectionError) {
+      return res.status(400).json({ msg: err.message });
+    }
+    console.error('Error bulk deleting reports:', err);
+    res.status(500).json({ msg: 'Server error deleting reports' });
+  }
+});
+
 // PATCH /api/admin/reports/:id/status
 router.patch(
   '/reports/:id/status',
   auth,
   checkAdmin,
+  body('note').optional().isString().trim().isLength({ max: 500 }),
+  body('rejectReason').optional().isString().trim().isLength({ max: 500 }),
+  validate,
   async (req, res) => {
     try {
-      const { status, rejectReason } = req.body;
-      const validStatuses = ['Pending', 'In Progress', 'Fixed', 'Rejected'];
-      if (!validStatuses.includes(status)) {
+      const { status, rejectReason, note } = req.body;
+      if (!REPORT_STATUSES.includes(status)) {
         return res.status(400).json({ msg: 'Invalid status' });
       }
+      if (status === 'Merged') {
+        return res.status(400).json({ msg: 'Use POST /api/admin/reports/:id/merge to merge reports' });
+      }
       if (status === 'Rejected' && (!rejectReason || !rejectReason.trim())) {
         return res.status(400).json({ msg: 'Rejection reason is required' });
       }
 
-      // Build the update object
-      const update = {
-        status,
-        updatedAt: Date.now(),
-      };
-      if (status === 'Rejected') {
-        update.rejectReason = rejectReason.trim();
-      } else {
-        // Remove any previous rejectReason
-        update.$unset = { rejectReason: "" };
+      const report = await Report.findById(req.params.id);
+      if (!report) {
+        return res.status(404).json({ msg: 'Report not found' });
+      }
+      if (!canTransition(report.status, status, 'admin')) {
+        return res.status(409).json(transitionError(report.status, status, 'admin'));
+      }
+
+      await applyTransition(report, status, {
+        actor: req.user.id,
+        note:  note || (status === 'Rejected' ? rejectReason : undefined),
+        rejectReason
+      });
+
+      // Notify report owner (fire‐and‐forget, errors are logged)
+      notify({
+        userId:  report.user,
+        type:    'report:statusChanged',
+        title:   `Your ${report.issueType} report is now ${status}`,
+        message: status === 'Rejected' ? `Reason: ${rejectReason.trim()}` : undefined,
+        report:  report._id,
+        email: {
+          template: 'reportStatusChanged',
+          data: {
+            reportId:     report._id.toString(),
+            issueType:    report.issueType,
+            description:  report.description,
+            status,
+            rejectReason: report.rejectReason
+          }
+        }
+      });
+
+      // Respond with updated report
+      res.json(await resolveReportImages(report));
+    } catch (err) {
+      console.error('Error updating report status:', err);
+      res.status(500).json({ msg: 'Server error updating status' });
+    }
+  }
+);
+
+// PUT /api/admin/reports/:id/assignee
+// Assigns a crew member ({ userId }) to a report and emails them
+router.put(
+  '/reports/:id/assignee',
+  auth,
+  checkPermission('reports:assign'),
+  async (req, res) => {
+    try {
+      const { userId } = req.body;
+      if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ msg: 'Invalid ID' });
+      }
+
+      const [report, assignee] = await Promise.all([
+        Report.findById(req.params.id),
+        User.findById(userId).select('name email role')
+      ]);
+      if (!report) {
+        return res.status(404).json({ msg: 'Report not found' });
+      }
+      if (!assignee || !['crew', 'admin'].includes(assignee.role)) {
+        return res.status(400).json({ msg: 'Assignee must be a crew member or admin' });
+      }
+      if (!OPEN_STATUSES.includes(report.status)) {
+        return res.status(409).json({ msg: `Cannot assign a report that is ${report.status}` });
       }
 
-      // Update the report
+      report.assignee = assignee._id;
+      report.assignedAt = Date.now();
+      await report.save();
+      await invalidateReportCaches();
+
+      notify({
+        userId:  assignee._id,
+        type:    'report:assigned',
+        title:   `New assignment: ${report.issueType} report`,
+        message: report.address,
+        report:  report._id,
+        email: {
+          template: 'reportAssigned',
+          data: {
+            reportId:    report._id.toString(),
+            issueType:   report.issueType,
+            address:     report.address,
+            description: report.description
+          }
+        }
+      });
+
+      await report.populate('assignee', 'name email');
+      res.json(await resolveReportImages(report));
+    } catch (err) {
+      console.error('Error assigning report:', err);
+      res.status(500).json({ msg: 'Server error assigning report' });
+    }
+  }
+);
+
+// DELETE /api/admin/reports/:id/assignee
+// Removes the current assignee from a report
+router.delete(
+  '/reports/:id/assignee',
+  auth,
+  checkPermission('reports:assign'),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ msg: 'Invalid report ID' });
+      }
       const report = await Report.findByIdAndUpdate(
         req.params.id,
-        update,
+        { $unset: { assignee: '', assignedAt: '' } },
         { new: true }
       );
       if (!report) {
         return res.status(404).json({ msg: 'Report not found' });
       }
+      await invalidateReportCaches();
+      res.json(await resolveReportImages(report));
+    } catch (err) {
+      console.error('Error unassigning report:', err);
+      res.status(500).json({ msg: 'Server error unassigning report' });
+    }
+  }
+);
 
-      // Invalidate dashboard cache
-      await redisClient.del('admin:dashboard');
-
-      // Fetch report owner
-      const reporter = await User.findById(report.user).select('name email');
-      if (reporter) {
-        // Build email content
-        const subject = `Update on your "${report.issueType}" report`;
-        const html = `
-          <p>Hi ${reporter.name},</p>
-          <p>Your report <strong>${report.issueType}</strong> (ID: <code>${report._id}</code>) has been updated to <strong>${status}</strong>.</p>
-          <p><strong>Description:</strong><br/>${report.description}</p>
-          ${status === 'Rejected' 
-            ? `<p><strong>Rejection reason:</strong><br/>${rejectReason.trim()}</p>` 
-            : ''}
-          <p>Thank you for helping keep our streets safe.</p>
-        `;
-
-        // Send notification (fire‐and‐forget, but log errors)
-        sendEmail({
-          to: reporter.email,
-          subject,
-          html
-        }).catch(err => {
-          console.error('Error sending status update email:', err);
-        });
+// POST /api/admin/reports/:id/merge
+// Folds duplicate report :id into the canonical report given as { targetId }
+router.post(
+  '/reports/:id/merge',
+  auth,
+  checkAdmin,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { targetId } = req.body;
+      if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(targetId)) {
+        return res.status(400).json({ msg: 'Invalid report ID' });
+      }
+      if (id === targetId) {
+        return res.status(400).json({ msg: 'Cannot merge a report into itself' });
       }
 
-      // Respond with updated report
-      res.json(report);
+      const [duplicate, canonical] = await Promise.all([
+        Report.findById(id),
+        Report.findById(targetId)
+      ]);
+      if (!duplicate || !canonical) {
+        return res.status(404).json({ msg: 'Report not found' });
+      }
+      if (!canTransition(duplicate.status, 'Merged', 'admin')) {
+        return res.status(409).json(transitionError(duplicate.status, 'Merged', 'admin'));
+      }
+      if (canonical.status === 'Merged') {
+        return res.status(409).json({ msg: 'Target report has itself been merged' });
+      }
+      if (!OPEN_STATUSES.includes(canonical.status)) {
+        return res.status(409).json({ msg: `Cannot merge into a report that is ${canonical.status}` });
+      }
+
+      await mergeReports(canonical, duplicate, req.user.id);
+
+      // Let the duplicate's reporter know where their report went
+      notify({
+        userId:  duplicate.user,
+        type:    'report:merged',
+        title:   `Your ${duplicate.issueType} report was merged`,
+        message: 'It described the same issue as an existing report and now counts as an upvote on it.',
+        report:  canonical._id,
+        email: {
+          template: 'reportMerged',
+          data: {
+            reportId:    duplicate._id.toString(),
+            canonicalId: canonical._id.toString(),
+            issueType:   duplicate.issueType
+          }
+        }
+      });
+
+      res.json({
+        report: await resolveReportImages(canonical),
+        merged: await resolveReportImages(duplicate)
+      });
     } catch (err) {
-      console.error('Error updating report status:', err);
-      res.status(500).json({ msg: 'Server error updating status' });
+      console.error('Error merging reports:', err);
+      res.status(500).json({ msg: 'Server error merging reports' });
     }
   }
 );
@@ -0,0 +1,114 @@
+import express from 'express';
+import crypto from 'crypto';
+import { query, validationResult } from 'express-validator';
+import asyncHandler from '../middleware/asyncHandler.js';
+import auth from '../middleware/authMiddleware.js';
+import { checkAdmin } from '../middleware/roleMiddleware.js';
+import { cached, TAGS } from '../utils/cacheUtils.js';
+import { isCategoryFilter } from '../utils/categoryUtils.js';
+import {
+  INTERVAL_FORMATS,
+  createdResolvedSeries,
+  resolutionTimes,
+  backlogAges,
+  topAreas
+} from '../utils/reportAnalytics.js';
+
+const router = express.Router();
+
+// Middleware to check express-validator results
+function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    throw new Error('Unknown time zone');
+  }
+}
+
+// Shared by every endpoint: ?from=&to= (ISO dates) and ?category=
+const filterValidators = [
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('category').optional().custom(isCategoryFilter)
+];
+
+/**
+ * Serve `compute(params)` through the report cache, keyed on the endpoint
+ * and its validated parameters. Any report change invalidates it.
+ */
+function cachedAnalytics(name, compute) {
+  return asyncHandler(async (req, res) => {
+    const params = { ...req.query };
+    const hash = crypto.createHash('sha1').update(JSON.stringify(params)).digest('hex');
+    const result = await cached(
+      { key: `analytics:${name}:${hash}`, tags: [TAGS.reports] },
+      () => compute(params)
+    );
+    res.json(result);
+  });
+}
+
+router.use(auth, checkAdmin);
+
+/**
+ * GET /api/admin/analytics/volume?interval=day|week|month&tz=
+ * Reports created and resolved per period
+ */
+router.get(
+  '/volume',
+  [
+    ...filterValidators,
+    query('interval').optional().isIn(Object.keys(INTERVAL_FORMATS)),
+    query('tz').optional().custom(isTimeZone)
+  ],
+  validate,
+  cachedAnalytics('volume', createdResolvedSeries)
+);
+
+/**
+ * GET /api/admin/analytics/resolution
+ * Median, p90 and mean resolution time (days) per category
+ */
+router.get(
+  '/resolution',
+  filterValidators,
+  validate,
+  cachedAnalytics('resolution', resolutionTimes)
+);
+
+/**
+ * GET /api/admin/analytics/backlog
+ * Age distribution of open reports
+ */
+router.get(
+  '/backlog',
+  filterValidators,
+  validate,
+  cachedAnalytics('backlog', backlogAges)
+);
+
+/**
+ * GET /api/admin/analytics/areas?precision=&limit=
+ * Busiest areas by report volume (lat/lng grid)
+ */
+router.get(
+  '/areas',
+  [
+    ...filterValidators,
+    query('precision').optional().isInt({ min: 0, max: 4 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+  ],
+  validate,
+  cachedAnalytics('areas', topAreas)
+);
+
+export default router;
@@ -1,15 +1,49 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import mongoose from 'mongoose';
 import { body, validationResult } from 'express-validator';
 
 import User from '../models/User.js';
 import auth from '../middleware/authMiddleware.js';
-import sendEmail from '../utils/sendEmail.js';
+import rateLimit, { byEmail, byUser } from '../middleware/rateLimit.js';
+import { queueEmail } from '../utils/emailOutbox.js';
+import Session from '../models/Session.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+} from '../utils/sessionUtils.js';
+import { lockRemaining, registerFailure, clearFailures } from '../utils/loginLockout.js';
+import { streamAccountExport, deleteAccount } from '../utils/accountData.js';
+import { startPasswordReset } from '../utils/passwordReset.js';
 
 const router = express.Router();
 
+// Throttles for unauthenticated routes (per IP, and per target account where there is one)
+const registerLimit = rateLimit({ name: 'register:ip', windowSeconds: 60 * 60, max: 10 });
+const loginIpLimit  = rateLimit({ name: 'login:ip', windowSeconds: 15 * 60, max: 30 });
+const loginAcctLimit = rateLimit({ name: 'login:account', windowSeconds: 15 * 60, max: 15, keyBy: byEmail });
+const emailIpLimit   = rateLimit({ name: 'email:ip', windowSeconds: 60 * 60, max: 10 });
+const emailAcctLimit = rateLimit({
+  name: 'email:account',
+  windowSeconds: 60 * 60,
+  max: 3,
+  keyBy: byEmail,
+  message: 'Too many emails requested for this account, please try again later'
+});
+
+// Building an export archive is heavy, so users get a few per hour
+const exportLimit = rateLimit({
+  name: 'account:export',
+  windowSeconds: 60 * 60,
+  max: 3,
+  keyBy: byUser,
+  message: 'Too many data exports requested, please try again later'
+});
+
 // UTILITY: Generate a secure random token
 function generateToken() {
   return crypto.randomBytes(32).toString('hex');
@@ -19,6 +53,7 @@ function generateToken() {
 // Registers a new user and sends a verification email.
 router.post(
   '/register',
+  registerLimit,
   [
     body('name', 'Name is required').notEmpty(),
     body('email', 'Valid email is required').isEmail(),
@@ -53,24 +88,9 @@ router.post(
 
       await user.save();
 
-      // Build verification link
+      // Queue verification email (delivered and retried by the outbox worker)
       const verifyURL = `${process.env.CLIENT_URL}/verify-email?token=${emailToken}`;
-      const html = `
-        <h1>Email Verification</h1>
-        <p>Hi ${name},</p>
-        <p>Please <a href="${verifyURL}" target="_blank" rel="noopener noreferrer">click here</a> to verify your email address.</p>
-        <p>If that doesn’t work, copy and paste this URL into your browser:</p>
-        <p><a href="${verifyURL}" target="_blank" rel="noopener noreferrer">${verifyURL}</a></p>
-        <p>This link will expire in 24 hours.</p>
-      `;
-      const text = `Hi ${name},\n\nPlease verify your email by visiting:\n\n${verifyURL}\n\nThis link expires in 24 hours.`;
-
-      // Send email (failures here should not block registration)
-      try {
-        await sendEmail({ to: email, subject: 'Verify Your Email', html, text });
-      } catch (emailErr) {
-        console.error('Verification email failed:', emailErr);
-      }
+      await queueEmail({ to: email, template: 'verifyEmail', data: { name, verifyURL } });
 
       res
         .status(201)
@@ -116,6 +136,8 @@ router.get('/verify-email', async (req, res) => {
 // Resends the verification email.
 router.post(
   '/resend-verification',
+  emailIpLimit,
+  emailAcctLimit,
   [ body('email', 'Valid email is required').isEmail() ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -141,21 +163,8 @@ router.post(
       user.emailVerificationTokenExpires = Date.now() + 24 * 60 * 60 * 1000;
       await user.save();
 
-      // Build link and email body
       const verifyURL = `${process.env.CLIENT_URL}/verify-email?token=${emailToken}`;
-      const html = `
-        <h1>Verify Your Email (Again)</h1>
-        <p>Please <a href="${verifyURL}" target="_blank" rel="noopener noreferrer">click here</a> to verify your email address.</p>
-        <p>Or copy & paste this URL into your browser:</p>
-        <p><a href="${verifyURL}" target="_blank" rel="noopener noreferrer">${verifyURL}</a></p>
-      `;
-      const text = `Please verify your email by visiting:\n\n${verifyURL}`;
-
-      try {
-        await sendEmail({ to: email, subject: 'Resend Verification', html, text });
-      } catch (emailErr) {
-        console.error('Resend-verification email failed:', emailErr);
-      }
+      await queueEmail({ to: email, template: 'resendVerification', data: { verifyURL } });
 
       res.json({ msg: 'Verification email resent. Check your inbox.' });
     } catch (err) {
@@ -166,9 +175,11 @@ router.post(
 );
 
 // POST /api/auth/login
-// Authenticates and returns a JWT.
+// Authenticates and returns a short-lived JWT plus a refresh token.
 router.post(
   '/login',
+  loginIpLimit,
+  loginAcctLimit,
   [
     body('email', 'Please include a valid email').isEmail(),
     body('password', 'Password is required').exists()
@@ -181,6 +192,15 @@ router.post(
 
     const { email, password } = req.body;
     try {
+      // Progressive lockout after repeated failed attempts
+      const locked = await lockRemaining(email);
+      if (locked) {
+        res.set('Retry-After', String(locked));
+        return res
+          .status(429)
+          .json({ msg: 'Too many failed login attempts. Try again later.', retryAfter: locked });
+      }
+
       const user = await User.findOne({ email });
       if (!user) {
         return res
@@ -190,25 +210,27 @@ router.post(
 
       const isMatch = await bcrypt.compare(password, user.password);
       if (!isMatch) {
+        const lockSeconds = await registerFailure(email);
+        if (lockSeconds) {
+          res.set('Retry-After', String(lockSeconds));
+          return res
+            .status(429)
+            .json({ msg: 'Too many failed login attempts. Try again later.', retryAfter: lockSeconds });
+        }
         return res.status(400).json({ errors: [{ msg: 'Invalid credentials' }] });
       }
+      await clearFailures(email);
 
       if (user.role !== 'admin' && !user.isVerified) {
         return res
           .status(400)
           .json({ errors: [{ msg: 'Please verify your email before logging in.' }] });
       }
+      if (user.suspendedAt) {
+        return res.status(403).json({ msg: 'Your account has been suspended' });
+      }
 
-      const payload = { user: { id: user.id, role: user.role } };
-      jwt.sign(
-        payload,
-        process.env.JWT_SECRET,
-        { expiresIn: '2h' },
-        (err, token) => {
-          if (err) throw err;
-          res.json({ token });
-        }
-      );
+      res.json(await createSession(user, req));
     } catch (err) {
       console.error('Login error:', err);
       res.status(500).json({ msg: 'Server error during login' });
@@ -216,10 +238,95 @@ router.post(
   }
 );
 
+// POST /api/auth/refresh
+// Exchanges a refresh token for a new access token and a new refresh token.
+router.post(
+  '/refresh',
+  [ body('refreshToken', 'Refresh token is required').isString().notEmpty() ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const tokens = await rotateSession(req.body.refreshToken, req);
+      if (!tokens) {
+        return res.status(401).json({ msg: 'Refresh token is invalid or expired' });
+      }
+      res.json(tokens);
+    } catch (err) {
+      console.error('Refresh error:', err);
+      res.status(500).json({ msg: 'Server error during token refresh' });
+    }
+  }
+);
+
+// POST /api/auth/logout
+// Ends the current session on the server.
+router.post('/logout', auth, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      const session = await Session.findOne({ _id: req.sessionId, user: req.user.id });
+      if (session) await revokeSession(session);
+    }
+    res.json({ msg: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ msg: 'Server error during logout' });
+  }
+});
+
+// POST /api/auth/logout-all
+// Ends every session the user has, on all devices.
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.id);
+    res.json({ msg: `Logged out of ${count} session(s)` });
+  } catch (err) {
+    console.error('Logout-all error:', err);
+    res.status(500).json({ msg: 'Server error during logout' });
+  }
+});
+
+// GET /api/auth/sessions
+// Lists the devices the user is currently signed in on.
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+    res.json(sessions.map(s => ({
+      ...s,
+      current: s._id.toString() === req.sessionId
+    })));
+  } catch (err) {
+    console.error('List-sessions error:', err);
+    res.status(500).json({ msg: 'Server error listing sessions' });
+  }
+});
+
+// DELETE /api/auth/sessions/:id
+// Signs out one specific device.
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      && await Session.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ msg: 'Session not found' });
+    }
+    await revokeSession(session);
+    res.json({ msg: 'Session revoked' });
+  } catch (err) {
+    console.error('Revoke-session error:', err);
+    res.status(500).json({ msg: 'Server error revoking session' });
+  }
+});
+
 // POST /api/auth/forgot-password
 // Sends a password reset email.
 router.post(
   '/forgot-password',
+  emailIpLimit,
+  emailAcctLimit,
   [ body('email', 'Please include a valid email').isEmail() ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -237,27 +344,7 @@ router.post(
         return res.status(400).json({ errors: [{ msg: 'Email not verified. Cannot reset password.' }] });
       }
 
-      const resetToken = generateToken();
-      user.resetPasswordToken = resetToken;
-      user.resetPasswordExpires = Date.now() + 60 * 60 * 1000; // 1h
-      await user.save();
-
-      const resetURL = `${process.env.CLIENT_URL}/reset-password?token=${resetToken}`;
-      const html = `
-        <h1>Password Reset</h1>
-        <p>Hi ${user.name},</p>
-        <p>You requested a password reset. <a href="${resetURL}" target="_blank" rel="noopener noreferrer">Click here</a> to set a new password.</p>
-        <p>If that doesn’t work, paste this into your browser:</p>
-        <p>${resetURL}</p>
-        <p>This link expires in 1 hour.</p>
-      `;
-      const text = `Reset your password by visiting:\n\n${resetURL}`;
-
-      try {
-        await sendEmail({ to: email, subject: 'Password Reset Request', html, text });
-      } catch (emailErr) {
-        console.error('Forgot-password email failed:', emailErr);
-      }
+      await startPasswordReset(user);
 
       res.json({ msg: 'Password reset email sent. Check your inbox.' });
     } catch (err) {
@@ -298,6 +385,10 @@ router.post(
       user.resetPasswordExpires = undefined;
       await user.save();
 
+      // A reset means the old password may be compromised: sign out everywhere
+      await revokeAllSessions(user._id);
+      await clearFailures(user.email);
+
       res.json({ msg: 'Password has been reset. You can now log in.' });
     } catch (err) {
       console.error('Reset-password error:', err);
@@ -337,7 +428,11 @@ router.post(
       user.password = await bcrypt.hash(newPassword, salt);
       await user.save();
 
-      res.json({ msg: 'Password changed successfully' });
+      // Invalidate every existing session, then keep this device signed in with a fresh one
+      await revokeAllSessions(user._id);
+      const tokens = await createSession(user, req);
+
+      res.json({ msg: 'Password changed successfully', ...tokens });
     } catch (err) {
       console.error('Change-password error:', err);
       res.status(500).json({ msg: 'Server error during password change' });
@@ -399,4 +494,57 @@ router.put(
   }
 );
 
+// GET /api/auth/me/export
+// Downloads a ZIP of everything stored about the user: profile, reports,
+// comments, upvotes and the photos they uploaded.
+router.get('/me/export', auth, exportLimit, async (req, res) => {
+  try {
+    await streamAccountExport(req.user.id, res);
+  } catch (err) {
+    console.error('Account export error:', err);
+    // Once the archive has started streaming all we can do is cut it short
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ msg: 'Server error exporting account data' });
+  }
+});
+
+// DELETE /api/auth/me
+// Deletes the account after confirming the password. Reports, comments and
+// upvotes are anonymized or deleted per ACCOUNT_DELETION_POLICY, and every
+// session is ended.
+router.delete(
+  '/me',
+  auth,
+  [ body('password', 'Password is required').exists() ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({ msg: 'User not found' });
+      }
+
+      const isMatch = await bcrypt.compare(String(req.body.password), user.password);
+      if (!isMatch) {
+        return res.status(400).json({ errors: [{ msg: 'Password is incorrect' }] });
+      }
+
+      // Someone has to be able to run the place
+      if (user.role === 'admin' && !(await User.exists({ role: 'admin', _id: { $ne: user._id } }))) {
+        return res.status(409).json({ msg: 'The last admin account cannot be deleted' });
+      }
+
+      const summary = await deleteAccount(user);
+      res.json({ msg: 'Account deleted', ...summary });
+    } catch (err) {
+      console.error('Delete-account error:', err);
+      res.status(500).json({ msg: 'Server error deleting account' });
+    }
+  }
+);
+
 export default router;
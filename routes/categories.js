@@ -0,0 +1,132 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import asyncHandler from '../middleware/asyncHandler.js';
+import auth from '../middleware/authMiddleware.js';
+import { checkAdmin } from '../middleware/roleMiddleware.js';
+import Category from '../models/Category.js';
+import Report from '../models/Report.js';
+import { invalidateCategoryCache } from '../utils/categoryUtils.js';
+import { invalidateReportCaches } from '../utils/cacheUtils.js';
+
+const router = express.Router();
+
+// Middleware to check express-validator results
+function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}
+
+router.use(auth, checkAdmin);
+
+/**
+ * GET /api/admin/categories
+ * All categories, including inactive ones, with their report counts
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ name: 1 }).lean(),
+      Report.aggregate([{ $group: { _id: '$issueType', count: { $sum: 1 } } }])
+    ]);
+    const countMap = Object.fromEntries(counts.map(c => [c._id, c.count]));
+    res.json(categories.map(c => ({ ...c, reportCount: countMap[c.name] || 0 })));
+  })
+);
+
+/**
+ * POST /api/admin/categories
+ * Create a category
+ */
+router.post(
+  '/',
+  [
+    body('name', 'Name is required').isString().trim().isLength({ min: 1, max: 50 }),
+    body('icon').optional().isString().trim(),
+    body('active').optional().isBoolean().toBoolean(),
+    body('slaDays').optional().isFloat({ min: 0 }).toFloat()
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { name, icon, active, slaDays } = req.body;
+    if (await Category.exists({ name })) {
+      return res.status(409).json({ msg: 'A category with that name already exists' });
+    }
+
+    const category = await Category.create({ name, icon, active, slaDays });
+    await invalidateCategoryCache();
+    res.status(201).json(category);
+  })
+);
+
+/**
+ * PUT /api/admin/categories/:id
+ * Update a category. Renaming also renames it on existing reports.
+ */
+router.put(
+  '/:id',
+  [
+    param('id', 'Invalid category ID').isMongoId(),
+    body('name').optional().isString().trim().isLength({ min: 1, max: 50 }),
+    body('icon').optional().isString().trim(),
+    body('active').optional().isBoolean().toBoolean(),
+    body('slaDays').optional().isFloat({ min: 0 }).toFloat()
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ msg: 'Category not found' });
+    }
+
+    const { name, icon, active, slaDays } = req.body;
+    const oldName = category.name;
+    if (name !== undefined && name !== oldName) {
+      if (await Category.exists({ name })) {
+        return res.status(409).json({ msg: 'A category with that name already exists' });
+      }
+      category.name = name;
+    }
+    if (icon !== undefined) category.icon = icon;
+    if (active !== undefined) category.active = active;
+    if (slaDays !== undefined) category.slaDays = slaDays;
+    await category.save();
+
+    if (category.name !== oldName) {
+      await Report.updateMany({ issueType: oldName }, { $set: { issueType: category.name } });
+      await invalidateReportCaches();
+    }
+    await invalidateCategoryCache();
+    res.json(category);
+  })
+);
+
+/**
+ * DELETE /api/admin/categories/:id
+ * Only unused categories can be deleted; deactivate the others instead.
+ */
+router.delete(
+  '/:id',
+  [ param('id', 'Invalid category ID').isMongoId() ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ msg: 'Category not found' });
+    }
+    if (await Report.exists({ issueType: category.name })) {
+      return res
+        .status(409)
+        .json({ msg: 'Category is used by existing reports; deactivate it instead' });
+    }
+
+    await category.deleteOne();
+    await invalidateCategoryCache();
+    res.json({ msg: 'Category deleted' });
+  })
+);
+
+export default router;
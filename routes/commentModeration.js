@@ -0,0 +1,195 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import asyncHandler from '../middleware/asyncHandler.js';
+import auth from '../middleware/authMiddleware.js';
+import { checkAdmin } from '../middleware/roleMiddleware.js';
+import Comment, { VISIBLE_COMMENTS } from '../models/Comment.js';
+import Report from '../models/Report.js';
+import { recountReport } from '../utils/reportCounters.js';
+import { publishEvent } from '../utils/realtime.js';
+import { deleteWithReplies, notifyCommentRecipients } from '../utils/commentThreads.js';
+
+const router = express.Router();
+
+// Middleware to check express-validator results
+function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}
+
+// ?status= views of the review queue
+const QUEUE_FILTERS = {
+  review:  { $or: [{ status: 'held' }, { ...VISIBLE_COMMENTS, flagCount: { $gt: 0 } }] },
+  held:    { status: 'held' },
+  flagged: { ...VISIBLE_COMMENTS, flagCount: { $gt: 0 } },
+  hidden:  { status: 'hidden' },
+  all:     {}
+};
+
+router.use(auth, checkAdmin);
+
+// Recount the report and tell live clients the comment appeared or went
+// away. Returns the report (null if it no longer exists).
+async function afterModeration(comment, type) {
+  await recountReport(comment.report);
+  const report = await Report.findById(comment.report).select('user issueType');
+  if (report) {
+    publishEvent({
+      type,
+      reportId: report._id,
+      ownerId:  report.user,
+      data:     type === 'comment:removed' ? { _id: comment._id } : comment
+    });
+  }
+  return report;
+}
+
+/**
+ * GET /api/admin/comments
+ * Review queue: ?status=review (held or flagged, default) | held | flagged | hidden | all
+ * Most-flagged first.
+ */
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(Object.keys(QUEUE_FILTERS)),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { status = 'review', page = 1, limit = 20 } = req.query;
+    const filter = QUEUE_FILTERS[status];
+
+    const [total, comments] = await Promise.all([
+      Comment.countDocuments(filter),
+      Comment.find(filter)
+        .sort({ flagCount: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'name email')
+        .populate('report', 'issueType description status')
+        .populate('flags.user', 'name')
+        .lean()
+    ]);
+
+    res.json({ total, page, limit, comments });
+  })
+);
+
+/**
+ * POST /api/admin/comments/:id/hide
+ * Remove a comment from view, with an optional note on why
+ */
+router.post(
+  '/:id/hide',
+  [
+    param('id', 'Invalid comment ID').isMongoId(),
+    body('reason').optional().isString().trim().isLength({ max: 500 })
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const comment = await Comment.findById(req.params.id);
+    if (!comment) {
+      return res.status(404).json({ msg: 'Comment not found' });
+    }
+    if (comment.status === 'hidden') {
+      return res.status(409).json({ msg: 'Comment is already hidden' });
+    }
+
+    comment.status = 'hidden';
+    comment.moderatedBy = req.user.id;
+    comment.moderatedAt = Date.now();
+    comment.moderationNote = req.body.reason;
+    await comment.save();
+    await afterModeration(comment, 'comment:removed');
+
+    res.json(comment);
+  })
+);
+
+/**
+ * POST /api/admin/comments/:id/restore
+ * Publish a held or hidden comment (or clear the flags on a published
+ * one), taking it out of the review queue
+ */
+router.post(
+  '/:id/restore',
+  [ param('id', 'Invalid comment ID').isMongoId() ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const comment = await Comment.findById(req.params.id);
+    if (!comment) {
+      return res.status(404).json({ msg: 'Comment not found' });
+    }
+
+    const previousStatus = comment.status;
+    comment.status = 'published';
+    comment.heldFor = [];
+    comment.flags = [];
+    comment.flagCount = 0;
+    comment.moderatedBy = req.user.id;
+    comment.moderatedAt = Date.now();
+    comment.moderationNote = undefined;
+    await comment.save();
+    await comment.populate('user', 'name');
+    if (previousStatus !== 'published') {
+      const report = await afterModeration(comment, 'comment:created');
+      // A held comment is published for the first time now
+      if (report && previousStatus === 'held') notifyCommentRecipients(comment, report);
+    }
+
+    res.json(comment);
+  })
+);
+
+/**
+ * PATCH /api/admin/comments/:id/pin
+ * { pinned } - pin or unpin a top-level comment
+ */
+router.patch(
+  '/:id/pin',
+  [
+    param('id', 'Invalid comment ID').isMongoId(),
+    body('pinned', 'pinned must be true or false').isBoolean().toBoolean()
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const comment = await Comment.findById(req.params.id);
+    if (!comment) {
+      return res.status(404).json({ msg: 'Comment not found' });
+    }
+    if (comment.parent) {
+      return res.status(400).json({ msg: 'Only top-level comments can be pinned' });
+    }
+
+    comment.pinned = req.body.pinned;
+    await comment.save();
+    res.json(comment);
+  })
+);
+
+/**
+ * DELETE /api/admin/comments/:id
+ * Delete any comment outright, with its replies
+ */
+router.delete(
+  '/:id',
+  [ param('id', 'Invalid comment ID').isMongoId() ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const comment = await Comment.findById(req.params.id);
+    if (!comment) {
+      return res.status(404).json({ msg: 'Comment not found' });
+    }
+
+    const deleted = await deleteWithReplies(comment);
+    await afterModeration(comment, 'comment:removed');
+    res.json({ msg: 'Comment deleted', deleted });
+  })
+);
+
+export default router;
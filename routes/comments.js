@@ -3,6 +3,11 @@ import { body, param, validationResult } from 'express-validator';
 import asyncHandler from '../middleware/asyncHandler.js';
 import auth from '../middleware/authMiddleware.js';
 import Comment from '../models/Comment.js';
+import Report from '../models/Report.js';
+import { recountReport } from '../utils/reportCounters.js';
+import { blockedWords } from '../utils/commentFilter.js';
+import { deleteOwnComment, notifyCommentRecipients } from '../utils/commentThreads.js';
+import { publishEvent } from '../utils/realtime.js';
 
 const router = express.Router();
 
@@ -33,7 +38,7 @@ router.put(
 
     // Find the comment
     const comment = await Comment.findById(id);
-    if (!comment) {
+    if (!comment || comment.deletedAt) {
       return res.status(404).json({ msg: 'Comment not found' });
     }
 
@@ -42,21 +47,75 @@ router.put(
       return res.status(403).json({ msg: 'Unauthorized' });
     }
 
-    // Apply update
+    // Apply update; the edit goes through the word filter again, but a
+    // comment an admin has hidden stays hidden
+    const previousStatus = comment.status;
     comment.text = text;
     comment.updatedAt = Date.now();
+    if (comment.status !== 'hidden') {
+      comment.heldFor = blockedWords(text);
+      comment.status = comment.heldFor.length ? 'held' : 'published';
+    }
     await comment.save();
+    await recountReport(comment.report);
 
     // Re-populate user name
     await comment.populate('user', 'name');
 
+    // An edit can publish a held comment or hold a published one; live
+    // clients and recipients hear about it as they would on POST
+    const report = await Report.findById(comment.report).select('user issueType');
+    if (report && previousStatus === 'held' && comment.status === 'published') {
+      publishEvent({ type: 'comment:created', reportId: report._id, ownerId: report.user, data: comment });
+      notifyCommentRecipients(comment, report);
+    } else if (report && previousStatus !== 'held' && comment.status === 'held') {
+      publishEvent({ type: 'comment:removed', reportId: report._id, ownerId: report.user, data: { _id: comment._id } });
+    }
+
     res.json(comment);
   })
 );
 
+/**
+ * POST /api/comments/:id/flag
+ * Flag someone else's comment for admin review (once per user)
+ */
+router.post(
+  '/:id/flag',
+  auth,
+  [
+    param('id', 'Invalid comment ID').isMongoId(),
+    body('reason').optional().isString().trim().isLength({ max: 200 })
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const comment = await Comment.findById(req.params.id).select('user status deletedAt');
+    if (!comment || comment.status === 'hidden' || comment.deletedAt) {
+      return res.status(404).json({ msg: 'Comment not found' });
+    }
+    if (comment.user.toString() === req.user.id) {
+      return res.status(400).json({ msg: 'You cannot flag your own comment' });
+    }
+
+    // Conditional update so two requests from one user cannot both count
+    const result = await Comment.updateOne(
+      { _id: comment._id, 'flags.user': { $ne: req.user.id } },
+      {
+        $push: { flags: { user: req.user.id, reason: req.body.reason } },
+        $inc:  { flagCount: 1 }
+      }
+    );
+    if (!result.modifiedCount) {
+      return res.status(409).json({ msg: 'You have already flagged this comment' });
+    }
+    res.json({ msg: 'Comment flagged for review' });
+  })
+);
+
 /**
  * DELETE /api/comments/:id
- * Delete one’s own comment
+ * Delete one’s own comment. Replies by others stay: a comment with
+ * replies is kept as a placeholder without text or author.
  */
 router.delete(
   '/:id',
@@ -67,7 +126,7 @@ router.delete(
     const { id } = req.params;
 
     const comment = await Comment.findById(id);
-    if (!comment) {
+    if (!comment || comment.deletedAt) {
       return res.status(404).json({ msg: 'Comment not found' });
     }
 
@@ -75,8 +134,13 @@ router.delete(
       return res.status(403).json({ msg: 'Unauthorized' });
     }
 
-    await comment.deleteOne();
-    res.json({ msg: 'Comment deleted' });
+    const deleted = await deleteOwnComment(comment);
+    await recountReport(comment.report);
+    const report = await Report.findById(comment.report).select('user');
+    if (report) {
+      publishEvent({ type: 'comment:removed', reportId: report._id, ownerId: report.user, data: { _id: comment._id } });
+    }
+    res.json({ msg: 'Comment deleted', deleted });
   })
 );
 
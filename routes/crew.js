@@ -0,0 +1,103 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import asyncHandler from '../middleware/asyncHandler.js';
+import auth from '../middleware/authMiddleware.js';
+import { checkPermission } from '../middleware/roleMiddleware.js';
+import Report from '../models/Report.js';
+import notify from '../utils/notify.js';
+import { resolveReportImages } from '../utils/storage/index.js';
+import {
+  REPORT_STATUSES,
+  OPEN_STATUSES,
+  canTransition,
+  transitionError,
+  applyTransition
+} from '../utils/reportLifecycle.js';
+
+const router = express.Router();
+
+// Middleware to check express-validator results
+function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}
+
+/**
+ * GET /api/crew/assignments
+ * The caller's queue: reports assigned to them, oldest assignment first.
+ * Defaults to open work (Pending/In Progress); ?status= narrows it.
+ */
+router.get(
+  '/assignments',
+  auth,
+  checkPermission('reports:work'),
+  [ query('status').optional().isIn(['open', ...REPORT_STATUSES]) ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { status = 'open' } = req.query;
+    const filter = { assignee: req.user.id };
+    filter.status = status === 'open' ? { $in: OPEN_STATUSES } : status;
+
+    const reports = await Report.find(filter)
+      .populate('user', 'name')
+      .sort({ assignedAt: 1 })
+      .lean();
+    res.json(await resolveReportImages(reports));
+  })
+);
+
+/**
+ * PATCH /api/crew/assignments/:id/status
+ * Crew marks an assigned In Progress report as Fixed.
+ */
+router.patch(
+  '/assignments/:id/status',
+  auth,
+  checkPermission('reports:work'),
+  [
+    param('id', 'Invalid report ID').isMongoId(),
+    body('status', 'Invalid status').isIn(REPORT_STATUSES),
+    body('note').optional().isString().isLength({ max: 500 })
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { status, note } = req.body;
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ msg: 'Report not found' });
+    }
+    if (!report.assignee || report.assignee.toString() !== req.user.id) {
+      return res.status(403).json({ msg: 'This report is not assigned to you' });
+    }
+    if (!canTransition(report.status, status, 'crew')) {
+      return res.status(409).json(transitionError(report.status, status, 'crew'));
+    }
+
+    await applyTransition(report, status, { actor: req.user.id, note });
+
+    // Let the reporter know
+    notify({
+      userId:  report.user,
+      type:    'report:statusChanged',
+      title:   `Your ${report.issueType} report is now ${status}`,
+      report:  report._id,
+      email: {
+        template: 'reportStatusChanged',
+        data: {
+          reportId:    report._id.toString(),
+          issueType:   report.issueType,
+          description: report.description,
+          status
+        }
+      }
+    });
+
+    res.json(await resolveReportImages(report));
+  })
+);
+
+export default router;
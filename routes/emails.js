@@ -0,0 +1,100 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import asyncHandler from '../middleware/asyncHandler.js';
+import auth from '../middleware/authMiddleware.js';
+import { checkAdmin } from '../middleware/roleMiddleware.js';
+import OutboxEmail, { OUTBOX_STATUSES } from '../models/OutboxEmail.js';
+import { requeue } from '../utils/emailOutbox.js';
+
+const router = express.Router();
+
+// Middleware to check express-validator results
+function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}
+
+router.use(auth, checkAdmin);
+
+/**
+ * GET /api/admin/emails
+ * Outbox listing, newest first. Filter by ?status= and ?to=
+ */
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(OUTBOX_STATUSES),
+    query('to').optional().isString(),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { status, to, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (to) filter.to = to.toLowerCase();
+
+    const [total, counts, emails] = await Promise.all([
+      OutboxEmail.countDocuments(filter),
+      OutboxEmail.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      OutboxEmail.find(filter)
+        .select('-html -text')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    res.json({
+      total,
+      page,
+      limit,
+      byStatus: Object.fromEntries(counts.map(c => [c._id, c.count])),
+      emails
+    });
+  })
+);
+
+/**
+ * GET /api/admin/emails/:id
+ * One outbox entry including its rendered body
+ */
+router.get(
+  '/:id',
+  [ param('id', 'Invalid email ID').isMongoId() ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const email = await OutboxEmail.findById(req.params.id).lean();
+    if (!email) {
+      return res.status(404).json({ msg: 'Email not found' });
+    }
+    res.json(email);
+  })
+);
+
+/**
+ * POST /api/admin/emails/:id/resend
+ * Queue an email again with a fresh set of attempts
+ */
+router.post(
+  '/:id/resend',
+  [ param('id', 'Invalid email ID').isMongoId() ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const email = await OutboxEmail.findById(req.params.id);
+    if (!email) {
+      return res.status(404).json({ msg: 'Email not found' });
+    }
+    if (['pending', 'sending'].includes(email.status)) {
+      return res.status(409).json({ msg: `Email is already ${email.status}` });
+    }
+    await requeue(email);
+    res.json({ msg: 'Email queued for resend', email });
+  })
+);
+
+export default router;
@@ -0,0 +1,154 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import asyncHandler from '../middleware/asyncHandler.js';
+import auth from '../middleware/authMiddleware.js';
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import User from '../models/User.js';
+import { resolvePreferences } from '../utils/notify.js';
+
+const router = express.Router();
+
+// Middleware to check express-validator results
+function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}
+
+/**
+ * GET /api/notifications
+ * The caller's inbox, newest first. ?unread=true for unread only.
+ */
+router.get(
+  '/',
+  auth,
+  [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('unread').optional().isBoolean().toBoolean()
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, unread = false } = req.query;
+    const filter = { user: req.user.id };
+    if (unread) filter.readAt = null;
+
+    const [total, unreadCount, notifications] = await Promise.all([
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user.id, readAt: null }),
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    res.json({ total, unread: unreadCount, page, limit, notifications });
+  })
+);
+
+/**
+ * GET /api/notifications/preferences
+ * Channel choices for every notification type
+ */
+router.get(
+  '/preferences',
+  auth,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.json(resolvePreferences(user));
+  })
+);
+
+/**
+ * PUT /api/notifications/preferences
+ * Body: { "report:statusChanged": { "email": false }, ... }
+ * Only the given types/channels change.
+ */
+router.put(
+  '/preferences',
+  auth,
+  [
+    body().isObject(),
+    body().custom(prefs => {
+      for (const [type, channels] of Object.entries(prefs)) {
+        if (!NOTIFICATION_TYPES.includes(type)) {
+          throw new Error(`Unknown notification type: ${type}`);
+        }
+        if (!channels || typeof channels !== 'object') {
+          throw new Error(`Preferences for ${type} must be an object`);
+        }
+        for (const [channel, value] of Object.entries(channels)) {
+          if (!['inApp', 'email'].includes(channel) || typeof value !== 'boolean') {
+            throw new Error(`Invalid channel setting for ${type}: ${channel}`);
+          }
+        }
+      }
+      return true;
+    })
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const update = {};
+    for (const [type, channels] of Object.entries(req.body)) {
+      for (const [channel, value] of Object.entries(channels)) {
+        update[`notificationPreferences.${type}.${channel}`] = value;
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: update },
+      { new: true }
+    ).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.json(resolvePreferences(user));
+  })
+);
+
+/**
+ * POST /api/notifications/read-all
+ * Mark every unread notification as read
+ */
+router.post(
+  '/read-all',
+  auth,
+  asyncHandler(async (req, res) => {
+    const result = await Notification.updateMany(
+      { user: req.user.id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    res.json({ updated: result.modifiedCount });
+  })
+);
+
+/**
+ * PATCH /api/notifications/:id/read
+ * Mark one notification as read
+ */
+router.patch(
+  '/:id/read',
+  auth,
+  [ param('id', 'Invalid notification ID').isMongoId() ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ msg: 'Notification not found' });
+    }
+    res.json(notification);
+  })
+);
+
+export default router;
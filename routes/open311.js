@@ -0,0 +1,292 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import { param, query, validationResult } from 'express-validator';
+import Report from '../models/Report.js';
+import Category from '../models/Category.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import auth from '../middleware/authMiddleware.js';
+import {
+  upload,
+  createReportLimit,
+  newReportValidators
+} from '../middleware/reportInput.js';
+import { getCategories } from '../utils/categoryUtils.js';
+import { createReport } from '../utils/reportCreation.js';
+import { InvalidImageError } from '../utils/imageProcessing.js';
+import { resolveReportImages } from '../utils/storage/index.js';
+import {
+  OPEN311_FORMATS,
+  statusesFor,
+  toService,
+  toServiceRequest,
+  sendOpen311,
+  sendOpen311Error
+} from '../utils/open311.js';
+
+/**
+ * Open311 GeoReport v2 facade, mounted at /api/open311/v2.
+ *
+ *   GET  /services.{json|xml}
+ *   GET  /requests.{json|xml}
+ *   POST /requests.{json|xml}
+ *   GET  /requests/{id}.{json|xml}
+ *
+ * The service list is public. Reading and filing requests needs a user's
+ * access token, as for the app API: either the usual Authorization header
+ * or the Open311 `api_key` parameter (in the query string for multipart
+ * uploads). Photos go in `media` files; remote `media_url`s are not fetched.
+ * Every error, authentication failures included, is an Open311 error list.
+ */
+const router = express.Router();
+
+// Open311 clients POST application/x-www-form-urlencoded
+router.use(express.urlencoded({ extended: false }));
+
+const DEFAULT_WINDOW_DAYS = 90;   // spec default when no date range is given
+const MAX_REQUESTS = 1000;        // spec maximum per response
+
+// Our field names -> Open311 parameter names, for error messages
+const OPEN311_FIELDS = {
+  issueType: 'service_code',
+  latitude:  'lat',
+  longitude: 'long',
+  address:   'address_string'
+};
+
+router.param('format', (req, res, next, format) => {
+  if (!OPEN311_FORMATS.includes(format)) {
+    return res.status(404).json({ msg: 'Format must be json or xml' });
+  }
+  next();
+});
+
+// Middleware to check express-validator results, reported the Open311 way
+function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const descriptions = errors.array().map(e =>
+      `${OPEN311_FIELDS[e.path] || e.path}: ${e.msg}`
+    );
+    return sendOpen311Error(res, req.params.format, 400, descriptions);
+  }
+  next();
+}
+
+// Accept the Open311 api_key in place of an Authorization header
+function apiKey(req, res, next) {
+  const key = req.query.api_key || req.body?.api_key;
+  if (key && !req.header('authorization') && !req.header('x-auth-token')) {
+    req.headers.authorization = `Bearer ${key}`;
+  }
+  next();
+}
+
+// The app's auth, with its { msg } rejections answered as Open311 errors
+function open311Auth(req, res, next) {
+  const reply = {
+    status(code) {
+      this.code = code;
+      return this;
+    },
+    json({ msg }) {
+      sendOpen311Error(res, req.params.format, this.code, msg);
+    }
+  };
+  return auth(req, reply, next);
+}
+
+function mediaUpload(req, res, next) {
+  upload.array('media', 5)(req, res, err => {
+    if (err instanceof multer.MulterError) {
+      return sendOpen311Error(res, req.params.format, 400, `media: ${err.message}`);
+    }
+    next(err);
+  });
+}
+
+// Translate Open311 parameters onto the fields the report validators expect
+async function mapRequestFields(req, res, next) {
+  const { service_code, lat, long, address_string } = req.body;
+  const category = mongoose.isValidObjectId(service_code)
+    ? await Category.findById(service_code).select('name')
+    : null;
+  if (!category) {
+    return sendOpen311Error(res, req.params.format, 400, 'service_code: Unknown service');
+  }
+  Object.assign(req.body, {
+    issueType: category.name,
+    latitude:  lat,
+    longitude: long,
+    address:   address_string
+  });
+  next();
+}
+
+async function categoriesByName() {
+  return new Map((await getCategories()).map(c => [c.name, c]));
+}
+
+async function toServiceRequests(req, reports) {
+  const categories = await categoriesByName();
+  const resolved = await resolveReportImages(reports);
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  return resolved.map(r => toServiceRequest(r, categories.get(r.issueType), baseUrl));
+}
+
+/**
+ * GET /services.{format}
+ * One service per active category
+ */
+router.get(
+  '/services.:format',
+  asyncHandler(async (req, res) => {
+    const services = (await getCategories())
+      .filter(c => c.active)
+      .map(toService);
+    sendOpen311(res, req.params.format, { root: 'services', item: 'service', list: services });
+  })
+);
+
+/**
+ * GET /requests.{format}
+ * ?service_request_id=id1,id2 (ignores every other filter), or any of
+ * ?service_code=, ?start_date=, ?end_date=, ?status=open|closed
+ */
+router.get(
+  '/requests.:format',
+  apiKey,
+  open311Auth,
+  [
+    query('service_request_id').optional().custom(value => {
+      if (!String(value).split(',').every(id => mongoose.isValidObjectId(id.trim()))) {
+        throw new Error('Invalid service_request_id');
+      }
+      return true;
+    }),
+    query('service_code').optional().isMongoId(),
+    query('start_date').optional().isISO8601(),
+    query('end_date').optional().isISO8601(),
+    query('status').optional().custom(value => {
+      if (!String(value).split(',').every(s => ['open', 'closed'].includes(s.trim()))) {
+        throw new Error('status must be open or closed');
+      }
+      return true;
+    })
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { service_request_id, service_code, start_date, end_date, status } = req.query;
+
+    const filter = {};
+    if (service_request_id) {
+      filter._id = { $in: service_request_id.split(',').map(id => id.trim()) };
+    } else {
+      if (service_code) {
+        const category = await Category.findById(service_code).select('name');
+        if (!category) {
+          return sendOpen311Error(res, req.params.format, 400, 'service_code: Unknown service');
+        }
+        filter.issueType = category.name;
+      }
+
+      const end = end_date ? new Date(end_date) : new Date();
+      const start = start_date
+        ? new Date(start_date)
+        : new Date(end.getTime() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+      filter.createdAt = { $gte: start, $lte: end };
+
+      if (status) {
+        const wanted = [...new Set(status.split(',').map(s => s.trim()))];
+        filter.status = { $in: wanted.flatMap(statusesFor) };
+      }
+    }
+
+    const reports = await Report.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(MAX_REQUESTS)
+      .lean();
+
+    sendOpen311(res, req.params.format, {
+      root: 'service_requests',
+      item: 'request',
+      list: await toServiceRequests(req, reports)
+    });
+  })
+);
+
+/**
+ * POST /requests.{format}
+ * File a report: service_code, lat, long, description, optional
+ * address_string and up to 5 `media` images
+ */
+router.post(
+  '/requests.:format',
+  apiKey,
+  open311Auth,
+  createReportLimit,
+  mediaUpload,
+  asyncHandler(mapRequestFields),
+  newReportValidators,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { issueType, latitude, longitude, description, address } = req.body;
+    let report;
+    try {
+      report = await createReport({
+        userId: req.user.id,
+        issueType, latitude, longitude, description, address,
+        files: req.files
+      });
+    } catch (err) {
+      if (err instanceof InvalidImageError) {
+        return sendOpen311Error(res, req.params.format, 400, `media: ${err.message}`);
+      }
+      throw err;
+    }
+
+    sendOpen311(res, req.params.format, {
+      root: 'service_requests',
+      item: 'request',
+      status: 201,
+      list: [{
+        service_request_id: report._id.toString(),
+        service_notice:     '',
+        account_id:         ''
+      }]
+    });
+  })
+);
+
+/**
+ * GET /requests/{id}.{format}
+ */
+router.get(
+  '/requests/:id.:format',
+  apiKey,
+  open311Auth,
+  param('id').isMongoId(),
+  asyncHandler(async (req, res) => {
+    const report = validationResult(req).isEmpty()
+      ? await Report.findById(req.params.id).lean()
+      : null;
+    if (!report) {
+      return sendOpen311Error(res, req.params.format, 404, 'Service request not found');
+    }
+    sendOpen311(res, req.params.format, {
+      root: 'service_requests',
+      item: 'request',
+      list: await toServiceRequests(req, [report])
+    });
+  })
+);
+
+// Anything unexpected is still answered as an Open311 error, not Express's HTML page
+router.use((err, req, res, next) => {
+  console.error('Open311 error:', err);
+  if (res.headersSent) return next(err);
+  const [, format = 'json'] = req.path.match(/\.(json|xml)$/) || [];
+  sendOpen311Error(res, format, 500, 'Server error');
+});
+
+export default router;
@@ -0,0 +1,75 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import asyncHandler from '../middleware/asyncHandler.js';
+import auth from '../middleware/authMiddleware.js';
+import Report from '../models/Report.js';
+import { openStream } from '../utils/realtime.js';
+
+const router = express.Router();
+
+// Middleware to check express-validator results
+function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}
+
+const MAX_REPORTS = 100;
+
+// Of `reportIds`, the ones `user` may not follow. Like the rest of the
+// API: reporters see their own reports, crew the ones assigned to them,
+// admins everything. Unknown IDs are not followable either.
+async function forbiddenReports(user, reportIds) {
+  if (user.role === 'admin' || !reportIds.length) return [];
+  const visible = await Report.find({
+    _id: { $in: reportIds },
+    $or: [{ user: user.id }, ...(user.role === 'crew' ? [{ assignee: user.id }] : [])]
+  }).distinct('_id');
+  const allowed = new Set(visible.map(id => id.toString()));
+  return reportIds.filter(id => !allowed.has(id));
+}
+
+/**
+ * GET /api/realtime/stream
+ * Server-Sent Events stream, authenticated like every other route.
+ *   ?reports=<id>,<id>   follow specific reports
+ *   ?mine=true           follow every report the caller filed
+ *   ?queue=true          admins only: follow the whole queue
+ * Events: report:status, comment:created, report:upvote; `end` (with a
+ * reason) when the token expires, the session ends or the user is suspended
+ */
+router.get(
+  '/stream',
+  auth,
+  [
+    query('reports').optional().custom(value => {
+      const ids = String(value).split(',').filter(Boolean);
+      if (ids.length > MAX_REPORTS) throw new Error(`At most ${MAX_REPORTS} reports per stream`);
+      if (!ids.every(id => /^[a-f\d]{24}$/i.test(id))) throw new Error('Invalid report ID');
+      return true;
+    }),
+    query('mine').optional().isBoolean().toBoolean(),
+    query('queue').optional().isBoolean().toBoolean()
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { reports = '', mine = false, queue = false } = req.query;
+    if (queue && req.user.role !== 'admin') {
+      return res.status(403).json({ msg: 'Admin access only' });
+    }
+    const reportIds = reports.split(',').filter(Boolean);
+    if (!reportIds.length && !mine && !queue) {
+      return res.status(400).json({ msg: 'Subscribe to reports, mine or queue' });
+    }
+    const forbidden = await forbiddenReports(req.user, reportIds);
+    if (forbidden.length) {
+      return res.status(403).json({ msg: 'Not authorized to follow these reports', reportIds: forbidden });
+    }
+
+    openStream(req, res, { reportIds, mine, queue });
+  })
+);
+
+export default router;
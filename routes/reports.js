@@ -1,43 +1,59 @@
 import express from 'express';
 import multer from 'multer';
-import path from 'path';
-import fs from 'fs/promises';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import { body, param, query, validationResult } from 'express-validator';
 import Report  from '../models/Report.js';
-import Comment from '../models/Comment.js';
+import Comment, { VISIBLE_COMMENTS } from '../models/Comment.js';
 import Upvote  from '../models/Upvote.js';
-import User    from '../models/User.js';
-import sendEmail                from '../utils/sendEmail.js';
+import notify                   from '../utils/notify.js';
+import { publishEvent }         from '../utils/realtime.js';
 import auth                     from '../middleware/authMiddleware.js';
 import asyncHandler             from '../middleware/asyncHandler.js';
+import {
+  upload,
+  createReportLimit,
+  newReportValidators
+} from '../middleware/reportInput.js';
 import axios                    from 'axios';
-import redisClient              from '../utils/redisClient.js';
-import { invalidateUserReportCache } from '../utils/cacheUtils.js';
-
-// --- Multer setup with fileFilter ---
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, 'uploads/'),
-  filename:    (req, file, cb) =>
-    cb(null, Date.now() + path.extname(file.originalname))
-});
-const upload = multer({
-  storage,
-  limits: { fileSize: 5 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    if (!file.mimetype.startsWith('image/')) {
-      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'Only images allowed'));
-    }
-    cb(null, true);
-  }
-});
+import { cached, invalidateReportCaches, TAGS } from '../utils/cacheUtils.js';
+import { recountReport }          from '../utils/reportCounters.js';
+import { encodeCursor, decodeCursor, afterCursor } from '../utils/pagination.js';
+import { parseBbox, withinBbox, withinRadius } from '../utils/geo.js';
+import { searchReports }          from '../utils/reportSearch.js';
+import { findPossibleDuplicates }   from '../utils/duplicateUtils.js';
+import { processUploads, InvalidImageError } from '../utils/imageProcessing.js';
+import { createReport }           from '../utils/reportCreation.js';
+import { blockedWords }           from '../utils/commentFilter.js';
+import {
+  listCommentThreads,
+  notifyCommentRecipients,
+  shownCommentCounts
+} from '../utils/commentThreads.js';
+import { hasPermission }          from '../middleware/roleMiddleware.js';
+import {
+  deleteObjects,
+  reportObjectKeys,
+  resolveReportImages
+} from '../utils/storage/index.js';
+import {
+  getCategories,
+  isActiveCategory,
+  isCategoryFilter
+} from '../utils/categoryUtils.js';
+import { getTimeline }          from '../utils/statusHistory.js';
+import { bulkDelete }           from '../utils/bulkReports.js';
+import {
+  REPORT_STATUSES,
+  REOPEN_WINDOW_DAYS,
+  canTransition,
+  transitionError,
+  withinReopenWindow,
+  applyTransition
+} from '../utils/reportLifecycle.js';
 
 const router = express.Router();
 
-// Helper: delete uploaded files on error
-async function cleanupFiles(files=[]) {
-  await Promise.all(files.map(f => fs.unlink(path.join('uploads', f.filename)).catch(()=>{})));
-}
-
 // Helper: check validationResult
 function validate(req, res, next) {
   const errs = validationResult(req);
@@ -47,115 +63,274 @@ function validate(req, res, next) {
   next();
 }
 
+// Helper: attach upvote/comment counts and the caller's upvote flag to lean reports,
+// and turn stored image keys into URLs
+async function enrichReports(reports, userId) {
+  const ids = reports.map(r=>r._id);
+  const [ ups, cms, myUps ] = await Promise.all([
+    Upvote.aggregate([
+      { $match:{ report:{ $in: ids } } },
+      { $group:{ _id:'$report', count:{ $sum:1 } } }
+    ]),
+    shownCommentCounts(ids),
+    Upvote.find({ user:userId, report:{ $in: ids } }).select('report')
+  ]);
+
+  const upMap = Object.fromEntries(ups.map(u=>[u._id.toString(), u.count]));
+  const upSet = new Set(myUps.map(u=>u.report.toString()));
+
+  return resolveReportImages(reports.map(r => ({
+    ...r,
+    upvoteCount:   upMap[r._id.toString()]   || 0,
+    commentCount:  cms.get(r._id.toString()) || 0,
+    hasUpvoted:    upSet.has(r._id.toString())
+  })));
+}
+
 // POST /api/reports
 router.post('/',
   auth,
+  createReportLimit,
   upload.array('images', 5),
-  [
-    body('issueType').isString().notEmpty(),
-    body('latitude').isFloat({ min: -90, max: 90 }),
-    body('longitude').isFloat({ min: -180, max: 180 }),
-    body('description').isString().isLength({ min: 5, max: 500 }),
-    body('address').optional().isString().trim().isLength({ max: 255 })
-  ],
+  newReportValidators,
   validate,
   asyncHandler(async (req, res) => {
+    const { issueType, latitude, longitude, description, address } = req.body;
+    let report;
     try {
-      const { issueType, latitude, longitude, description, address } = req.body;
-      const imageUrls = req.files.map(f => `/uploads/${f.filename}`);
-
-      const report = await Report.create({
-        user: req.user.id,
-        issueType,
-        location: { type: 'Point', coordinates: [parseFloat(longitude), parseFloat(latitude)] },
-        address,
-        description,
-        imageUrls
+      report = await createReport({
+        userId: req.user.id,
+        issueType, latitude, longitude, description, address,
+        files: req.files
       });
-
-      // Notify user by email (fire-and-forget)
-      const userInfo = await User.findById(req.user.id).select('name email');
-      if (userInfo) {
-        const html = `
-          <h2>Thanks for your report!</h2>
-          <p>Hi ${userInfo.name},</p>
-          <p>We received your <strong>${issueType}</strong> report:</p>
-          <ul>
-            <li>${description}</li>
-            <li>Location: ${address || `${latitude}, ${longitude}`}</li>
-          </ul>
-        `;
-        sendEmail({ to: userInfo.email, subject: 'Report received', html })
-          .catch(console.error);
-      }
-
-      await invalidateUserReportCache(req.user.id);
-      res.status(201).json({ report, msg: 'Report created; confirmation email sent.' });
     } catch (err) {
-      // if multer error
-      if (err instanceof multer.MulterError) {
-        await cleanupFiles(req.files);
+      // if multer error or an upload that is not really an image
+      if (err instanceof multer.MulterError || err instanceof InvalidImageError) {
         return res.status(400).json({ msg: err.message });
       }
       console.error(err);
-      await cleanupFiles(req.files);
-      res.status(500).json({ msg: 'Server error creating report' });
+      return res.status(500).json({ msg: 'Server error creating report' });
     }
+
+    // Surface likely duplicates so the client can offer a "me too" upvote instead
+    const duplicates = await findPossibleDuplicates({
+      issueType, latitude, longitude, excludeId: report._id
+    });
+    const possibleDuplicates = await enrichReports(duplicates, req.user.id);
+
+    res.status(201).json({
+      report: await resolveReportImages(report),
+      possibleDuplicates,
+      msg: 'Report created; confirmation email sent.'
+    });
   })
 );
 
+// Sort options for GET /api/reports -> stored field (ties broken by _id)
+const SORT_FIELDS = {
+  newest:   'createdAt',
+  upvotes:  'upvoteCount',
+  comments: 'commentCount'
+};
+
 // GET /api/reports
+// Cursor-paginated: pass the returned nextCursor as ?cursor= for the next page.
+// Filters: status, type, from/to (createdAt), mine=true. Sort: newest|upvotes|comments
 router.get('/',
   auth,
   [
-    query('status').optional().isIn(['all','Pending','In Progress','Fixed','Rejected']),
-    query('type').optional().isIn(['all','Pothole','Streetlight','Graffiti','Other'])
+    query('status').optional().isIn(['all', ...REPORT_STATUSES]),
+    query('type').optional().custom(isCategoryFilter),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('mine').optional().isBoolean(),
+    query('sort').optional().isIn(Object.keys(SORT_FIELDS)),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('cursor').optional().custom((v, { req }) => {
+      const c = decodeCursor(v);
+      if (!c || !mongoose.isValidObjectId(c.id)) throw new Error('Invalid cursor');
+      // The value must fit the sort field (a cursor from another sort is rejected)
+      const valid = SORT_FIELDS[req.query.sort || 'newest'] === 'createdAt'
+        ? typeof c.v === 'string' && !Number.isNaN(Date.parse(c.v))
+        : c.v === null || Number.isFinite(c.v);
+      if (!valid) throw new Error('Cursor does not match the sort order');
+      return true;
+    })
   ],
   validate,
   asyncHandler(async (req, res) => {
-    const { status='all', type='all' } = req.query;
-    const cacheKey = `reports:${status}:${type}:user:${req.user.id}`;
-    const cached  = await redisClient.get(cacheKey);
-    if (cached) {
-      console.log('serving from cache');
-      return res.json(JSON.parse(cached));
+    const {
+      status='all', type='all', from, to, mine='false', sort='newest', limit=20, cursor
+    } = req.query;
+
+    // One cache entry per user and page (hasUpvoted differs per user); any
+    // report write bumps the 'reports' tag and drops them all
+    const pageHash = crypto.createHash('sha1')
+      .update(JSON.stringify({ status, type, from, to, mine, sort, limit, cursor }))
+      .digest('hex');
+    const cacheKey = `reports:user:${req.user.id}:${pageHash}`;
+
+    const result = await cached({ key: cacheKey, tags: [TAGS.reports] }, async () => {
+      const filter = {};
+      if (status!=='all') filter.status = status;
+      if (type!=='all')   filter.issueType = type;
+      if (mine==='true')  filter.user = req.user.id;
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to)   filter.createdAt.$lte = new Date(to);
+      }
+
+      const field = SORT_FIELDS[sort];
+      if (cursor) {
+        const { v, id } = decodeCursor(cursor);
+        const value = field === 'createdAt' ? new Date(v) : v;
+        Object.assign(filter, afterCursor(field, value, new mongoose.Types.ObjectId(id)));
+      }
+
+      const pageSize = parseInt(limit);
+      const reports = await Report.find(filter)
+        .populate('user','name email')
+        .sort({ [field]: -1, _id: -1 })
+        .limit(pageSize + 1)          // one extra tells us whether there is a next page
+        .lean();
+
+      const hasMore = reports.length > pageSize;
+      const page = reports.slice(0, pageSize);
+      const last = page[page.length - 1];
+      const nextCursor = hasMore
+        ? encodeCursor({ v: last[field] ?? null, id: last._id.toString() })   // null: field missing
+        : null;
+
+      return { reports: await enrichReports(page, req.user.id), nextCursor };
+    });
+
+    res.json(result);
+  })
+);
+
+// GET /api/reports/nearby?lat=&lng=&radius=   (radius in metres)
+// GET /api/reports/nearby?bbox=minLng,minLat,maxLng,maxLat
+// Only returns reports inside the given circle/box, so the map loads what is on screen.
+router.get('/nearby',
+  auth,
+  [
+    query('lat').optional().isFloat({ min: -90, max: 90 }),
+    query('lng').optional().isFloat({ min: -180, max: 180 }),
+    query('radius').optional().isFloat({ min: 1, max: 50000 }),
+    query('bbox').optional().custom(v => {
+      if (!parseBbox(v)) throw new Error('bbox must be minLng,minLat,maxLng,maxLat');
+      return true;
+    }),
+    query('limit').optional().isInt({ min: 1, max: 500 }),
+    query('status').optional().isIn(['all', ...REPORT_STATUSES]),
+    query('type').optional().custom(isCategoryFilter)
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { lat, lng, radius = 1000, bbox, limit = 200, status='all', type='all' } = req.query;
+
+    const filter = {};
+    if (status!=='all') filter.status = status;
+    if (type!=='all')   filter.issueType = type;
+
+    let sort = null;
+    if (bbox) {
+      filter.location = withinBbox(parseBbox(bbox));
+      sort = { createdAt: -1 };
+    } else if (lat !== undefined && lng !== undefined) {
+      // $near already orders results by distance
+      filter.location = {
+        $near: {
+          $geometry:    { type: 'Point', coordinates: [parseFloat(lng), parseFloat(lat)] },
+          $maxDistance: parseFloat(radius)
+        }
+      };
+    } else {
+      return res.status(400).json({ msg: 'Provide either lat & lng or bbox' });
     }
 
+    let q = Report.find(filter).populate('user','name email');
+    if (sort) q = q.sort(sort);
+    const reports = await q.limit(parseInt(limit)).lean();
+
+    res.json(await enrichReports(reports, req.user.id));
+  })
+);
+
+// GET /api/reports/categories
+// Active issue categories for the report form
+router.get('/categories',
+  auth,
+  asyncHandler(async (req, res) => {
+    const categories = await getCategories();
+    res.json(categories
+      .filter(c => c.active)
+      .map(({ _id, name, icon, slaDays }) => ({ _id, name, icon, slaDays })));
+  })
+);
+
+// GET /api/reports/duplicates?issueType=&lat=&lng=
+// Pre-submit check: open reports of the same type nearby that the user could upvote instead
+router.get('/duplicates',
+  auth,
+  [
+    query('issueType').custom(isCategoryFilter),
+    query('lat').isFloat({ min: -90, max: 90 }),
+    query('lng').isFloat({ min: -180, max: 180 })
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { issueType, lat, lng } = req.query;
+    const duplicates = await findPossibleDuplicates({ issueType, latitude: lat, longitude: lng });
+    res.json(await enrichReports(duplicates, req.user.id));
+  })
+);
+
+// GET /api/reports/search?q=
+// Relevance-ranked search over descriptions, addresses and comments, with
+// highlighted snippets. Combines with status/type and lat,lng,radius or bbox.
+router.get('/search',
+  auth,
+  [
+    query('q').isString().trim().isLength({ min: 2, max: 200 }),
+    query('lat').optional().isFloat({ min: -90, max: 90 }),
+    query('lng').optional().isFloat({ min: -180, max: 180 }),
+    query('radius').optional().isFloat({ min: 1, max: 50000 }),
+    query('bbox').optional().custom(v => {
+      if (!parseBbox(v)) throw new Error('bbox must be minLng,minLat,maxLng,maxLat');
+      return true;
+    }),
+    query('status').optional().isIn(['all', ...REPORT_STATUSES]),
+    query('type').optional().custom(isCategoryFilter),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 50 })
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const {
+      q, lat, lng, radius = 1000, bbox, status='all', type='all', page = 1, limit = 20
+    } = req.query;
+
     const filter = {};
     if (status!=='all') filter.status = status;
     if (type!=='all')   filter.issueType = type;
+    if (bbox) {
+      filter.location = withinBbox(parseBbox(bbox));
+    } else if (lat !== undefined && lng !== undefined) {
+      filter.location = withinRadius(lng, lat, radius);
+    }
 
-    const reports = await Report.find(filter)
-      .populate('user','name email')
-      .sort({ createdAt: -1 })
-      .lean();
-
-    const ids = reports.map(r=>r._id);
-    const [ ups, cms, myUps ] = await Promise.all([
-      Upvote.aggregate([
-        { $match:{ report:{ $in: ids } } },
-        { $group:{ _id:'$report', count:{ $sum:1 } } }
-      ]),
-      Comment.aggregate([
-        { $match:{ report:{ $in: ids } } },
-        { $group:{ _id:'$report', count:{ $sum:1 } } }
-      ]),
-      Upvote.find({ user:req.user.id, report:{ $in: ids } }).select('report')
-    ]);
-
-    const upMap = Object.fromEntries(ups.map(u=>[u._id.toString(), u.count]));
-    const cmMap = Object.fromEntries(cms.map(c=>[c._id.toString(), c.count]));
-    const upSet = new Set(myUps.map(u=>u.report.toString()));
-
-    const enriched = reports.map(r => ({
-      ...r,
-      upvoteCount:   upMap[r._id.toString()]   || 0,
-      commentCount:  cmMap[r._id.toString()]   || 0,
-      hasUpvoted:    upSet.has(r._id.toString())
-    }));
+    const { total, reports } = await searchReports({
+      q, filter, page: parseInt(page), limit: parseInt(limit)
+    });
 
-    await redisClient.setEx(cacheKey, 300, JSON.stringify(enriched));
-    res.json(enriched);
+    res.json({
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      reports: await enrichReports(reports, req.user.id)
+    });
   })
 );
 
@@ -191,33 +366,65 @@ router.post('/:id/upvote',
     const { id: reportId } = req.params;
     const userId = req.user.id;
 
+    const rpt = await Report.findById(reportId).select('user');
+    if (!rpt) return res.status(404).json({ msg:'Not found' });
+
     const existing = await Upvote.findOne({ user:userId, report:reportId });
     if (existing) {
       await existing.deleteOne();
     } else {
       await Upvote.create({ user:userId, report:reportId });
     }
-    const count = await Upvote.countDocuments({ report:reportId });
-    await invalidateUserReportCache(userId);
+    const { upvoteCount: count } = await recountReport(reportId);
+    publishEvent({ type: 'report:upvote', reportId, ownerId: rpt.user, data: { upvotes: count } });
 
     res.json({ upvotes: count, upvoted: !existing });
   })
 );
 
 // POST /api/reports/:id/comments
+// Pass parentId to reply to a comment. Staff comments are marked official,
+// and top-level ones are pinned.
 router.post('/:id/comments',
   auth,
   param('id').isMongoId(),
   body('text').isString().isLength({ min:1, max:300 }),
+  body('parentId').optional().isMongoId(),
   validate,
   asyncHandler(async (req, res) => {
+    const rpt = await Report.findById(req.params.id).select('user issueType');
+    if (!rpt) return res.status(404).json({ msg:'Not found' });
+
+    let parent = null;
+    if (req.body.parentId) {
+      parent = await Comment.findOne({
+        _id: req.body.parentId, report: rpt._id, deletedAt: null, ...VISIBLE_COMMENTS
+      }).select('thread');
+      if (!parent) return res.status(400).json({ msg:'Parent comment not found on this report' });
+    }
+
+    const official = hasPermission(req.user.role, 'comments:official');
+    // Comments containing a listed word wait for an admin before anyone sees them
+    const heldFor = blockedWords(req.body.text);
     const comment = await Comment.create({
       user:   req.user.id,
       report: req.params.id,
-      text:   req.body.text
+      text:   req.body.text,
+      parent: parent ? parent._id : null,
+      thread: parent ? (parent.thread || parent._id) : null,
+      official,
+      pinned: official && !parent,
+      status: heldFor.length ? 'held' : 'published',
+      heldFor
     });
     await comment.populate('user','name');
-    await invalidateUserReportCache(req.user.id);
+    if (comment.status === 'held') {
+      return res.status(202).json({ comment, msg: 'Comment held for review' });
+    }
+
+    await recountReport(rpt._id);
+    publishEvent({ type: 'comment:created', reportId: rpt._id, ownerId: rpt.user, data: comment });
+    notifyCommentRecipients(comment, rpt);
     res.status(201).json(comment);
   })
 );
@@ -228,7 +435,11 @@ router.put('/:id',
   upload.array('images',5),
   [
     param('id').isMongoId(),
-    body('issueType').isString(),
+    body('issueType').isString().custom((value, { req }) => {
+      // Editing may keep a now-inactive category, but not switch to one
+      return Report.exists({ _id: req.params.id, issueType: value })
+        .then(same => same || isActiveCategory(value));
+    }),
     body('latitude').isFloat({ min:-90,max:90 }),
     body('longitude').isFloat({ min:-180,max:180 }),
     body('description').isString().isLength({ min:5, max:500 }),
@@ -248,23 +459,34 @@ router.put('/:id',
     };
     rpt.description = description;
     rpt.address     = address;
+    let replacedKeys = [];
     if (req.files.length) {
-      rpt.imageUrls = req.files.map(f=>`/uploads/${f.filename}`);
+      let images;
+      try {
+        images = await processUploads(req.files);
+      } catch (err) {
+        if (err instanceof InvalidImageError) return res.status(400).json({ msg: err.message });
+        throw err;
+      }
+      replacedKeys  = reportObjectKeys(rpt);
+      rpt.images    = images;
+      rpt.imageUrls = images.map(img => img.full);
     }
     await rpt.save();
-    await invalidateUserReportCache(req.user.id);
-
-    // Send update email (async)
-    User.findById(req.user.id).select('name email').then(u=>{
-      if (u) {
-        sendEmail({
-          to: u.email,
-          subject: 'Your report was updated',
-          html: `<p>Hi ${u.name}, your report has been updated.</p>`
-        }).catch(console.error);
-      }
+    // Old images are only removed once the report no longer points at them
+    await deleteObjects(replacedKeys);
+    await invalidateReportCaches();
+
+    // Notify the reporter (async)
+    notify({
+      userId:  req.user.id,
+      type:    'report:updated',
+      title:   'Your report was updated',
+      message: `Your ${rpt.issueType} report has been updated.`,
+      report:  rpt._id,
+      email:   { template: 'reportUpdated' }
     });
-    res.json({ report: rpt, msg:'Updated & emailed' });
+    res.json({ report: await resolveReportImages(rpt), msg:'Updated & emailed' });
   })
 );
 
@@ -279,18 +501,19 @@ router.delete('/:id',
     if (rpt.user.toString()!==req.user.id) return res.status(403).json({ msg:'Unauthorized' });
     if (rpt.status !== 'Pending') return res.status(400).json({ msg:'Only pending can be deleted' });
 
-    await rpt.deleteOne();
-    await invalidateUserReportCache(req.user.id);
-
-    // Send deletion email
-    User.findById(req.user.id).select('name email').then(u=>{
-      if (u) {
-        sendEmail({
-          to: u.email,
-          subject: 'Your report was deleted',
-          html: `<p>Hi ${u.name}, your report has been deleted.</p>`
-        }).catch(console.error);
-      }
+    // Upvotes, comments, history and photos go too, as for admin deletes;
+    // the reporter gets the notification below instead of the admin one
+    const [result] = await bulkDelete({ reports: [rpt], notifyOwners: false });
+    if (!result.ok) throw new Error(`Could not delete report ${rpt._id}`);
+
+    // Notify the reporter
+    notify({
+      userId:  req.user.id,
+      type:    'report:deleted',
+      title:   'Your report was deleted',
+      message: `Your ${rpt.issueType} report has been deleted.`,
+      report:  rpt._id,
+      email:   { template: 'reportDeleted' }
     });
     res.json({ msg:'Deleted & emailed' });
   })
@@ -305,20 +528,95 @@ router.get('/:id',
     const rpt = await Report.findById(req.params.id);
     if (!rpt) return res.status(404).json({ msg:'Not found' });
     if (rpt.user.toString()!==req.user.id) return res.status(403).json({ msg:'Unauthorized' });
-    res.json(rpt);
+    res.json(await resolveReportImages(rpt));
   })
 );
 
-// GET /api/reports/:id/comments
+// POST /api/reports/:id/confirm
+// Reporter confirms a Fixed report really is fixed -> Closed (final)
+router.post('/:id/confirm',
+  auth,
+  param('id').isMongoId(),
+  body('note').optional().isString().isLength({ max:500 }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const rpt = await Report.findById(req.params.id);
+    if (!rpt) return res.status(404).json({ msg:'Not found' });
+    if (rpt.user.toString()!==req.user.id) return res.status(403).json({ msg:'Unauthorized' });
+    if (!canTransition(rpt.status, 'Closed', 'owner')) {
+      return res.status(409).json(transitionError(rpt.status, 'Closed', 'owner'));
+    }
+
+    await applyTransition(rpt, 'Closed', { actor: req.user.id, note: req.body.note });
+    res.json({ report: await resolveReportImages(rpt), msg:'Report closed' });
+  })
+);
+
+// POST /api/reports/:id/reopen
+// Reporter says a Fixed report is not actually fixed -> back to Pending,
+// only within REOPEN_WINDOW_DAYS of it being marked Fixed
+router.post('/:id/reopen',
+  auth,
+  param('id').isMongoId(),
+  body('reason').isString().trim().isLength({ min:5, max:500 }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const rpt = await Report.findById(req.params.id);
+    if (!rpt) return res.status(404).json({ msg:'Not found' });
+    if (rpt.user.toString()!==req.user.id) return res.status(403).json({ msg:'Unauthorized' });
+    if (!canTransition(rpt.status, 'Pending', 'owner')) {
+      return res.status(409).json(transitionError(rpt.status, 'Pending', 'owner'));
+    }
+    if (!withinReopenWindow(rpt)) {
+      return res.status(409).json({
+        msg: `Reports can only be reopened within ${REOPEN_WINDOW_DAYS} days of being fixed`
+      });
+    }
+
+    await applyTransition(rpt, 'Pending', { actor: req.user.id, note: req.body.reason });
+    res.json({ report: await resolveReportImages(rpt), msg:'Report reopened' });
+  })
+);
+
+// GET /api/reports/:id/timeline
+// Public status history: who moved the report to which status, and when
+router.get('/:id/timeline',
+  auth,
+  param('id').isMongoId(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const exists = await Report.exists({ _id: req.params.id });
+    if (!exists) return res.status(404).json({ msg:'Not found' });
+
+    const timeline = await getTimeline(req.params.id);
+    res.json(timeline.map(h => ({
+      _id:       h._id,
+      from:      h.from,
+      to:        h.to,
+      note:      h.note,
+      at:        h.createdAt,
+      actor:     h.actor ? { name: h.actor.name, role: h.actor.role } : null
+    })));
+  })
+);
+
+// GET /api/reports/:id/comments?page=&limit=
+// Top-level comments (pinned first, then newest) with their replies nested.
+// Everyone sees published comments; authors also see their own held ones.
 router.get('/:id/comments',
   auth,
   param('id').isMongoId(),
+  query('page').optional().isInt({ min:1 }).toInt(),
+  query('limit').optional().isInt({ min:1, max:50 }).toInt(),
   validate,
   asyncHandler(async (req, res) => {
-    const cms = await Comment.find({ report:req.params.id })
-      .sort({ createdAt:-1 })
-      .populate('user','name');
-    res.json(cms);
+    const { page = 1, limit = 20 } = req.query;
+    res.json(await listCommentThreads({
+      reportId: req.params.id,
+      userId:   req.user.id,
+      page,
+      limit
+    }));
   })
 );
 
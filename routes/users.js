@@ -0,0 +1,283 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import asyncHandler from '../middleware/asyncHandler.js';
+import auth from '../middleware/authMiddleware.js';
+import { checkAdmin } from '../middleware/roleMiddleware.js';
+import User from '../models/User.js';
+import Report from '../models/Report.js';
+import Comment from '../models/Comment.js';
+import Upvote from '../models/Upvote.js';
+import { queueEmail } from '../utils/emailOutbox.js';
+import { startPasswordReset } from '../utils/passwordReset.js';
+import {
+  revokeAllSessions,
+  listActiveSessions,
+  suspendUserAccess,
+  restoreUserAccess
+} from '../utils/sessionUtils.js';
+
+const router = express.Router();
+
+// Middleware to check express-validator results
+function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}
+
+const ROLES = User.schema.path('role').enumValues;
+
+// Never sent to clients: credentials and one-time tokens
+const PRIVATE_FIELDS =
+  '-password -emailVerificationToken -emailVerificationTokenExpires -resetPasswordToken -resetPasswordExpires';
+
+// ?status= filters for the user list
+const STATUS_FILTERS = {
+  active:     { suspendedAt: null },
+  suspended:  { suspendedAt: { $ne: null } },
+  unverified: { isVerified: false }
+};
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+router.use(auth, checkAdmin);
+
+// Loads :id into req.target, 404 if there is no such user
+const loadTarget = asyncHandler(async (req, res, next) => {
+  req.target = await User.findById(req.params.id);
+  if (!req.target) {
+    return res.status(404).json({ msg: 'User not found' });
+  }
+  next();
+});
+
+// Admins cannot lock themselves out through these endpoints
+function notSelf(req, res, next) {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({ msg: 'You cannot do this to your own account' });
+  }
+  next();
+}
+
+async function isLastAdmin(user) {
+  return user.role === 'admin'
+    && !(await User.exists({ role: 'admin', suspendedAt: null, _id: { $ne: user._id } }));
+}
+
+/**
+ * GET /api/admin/users
+ * Paged list, newest first. ?q= matches name or email; filter by ?role=
+ * and ?status=active|suspended|unverified
+ */
+router.get(
+  '/',
+  [
+    query('q').optional().isString().trim().isLength({ max: 100 }),
+    query('role').optional().isIn(ROLES),
+    query('status').optional().isIn(Object.keys(STATUS_FILTERS)),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { q, role, status, page = 1, limit = 20 } = req.query;
+    const filter = { ...(status && STATUS_FILTERS[status]) };
+    if (role) filter.role = role;
+    if (q) {
+      const pattern = new RegExp(escapeRegExp(q), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const [total, users] = await Promise.all([
+      User.countDocuments(filter),
+      User.find(filter)
+        .select(`${PRIVATE_FIELDS} -notificationPreferences`)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    res.json({ total, page, limit, users });
+  })
+);
+
+/**
+ * GET /api/admin/users/:id
+ * One user with counts of their reports (by status), comments, upvotes
+ * and signed-in devices
+ */
+router.get(
+  '/:id',
+  [ param('id', 'Invalid user ID').isMongoId() ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id).select(PRIVATE_FIELDS).lean();
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const [byStatus, comments, upvotes, sessions] = await Promise.all([
+      Report.aggregate([
+        { $match: { user: user._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Comment.countDocuments({ user: user._id }),
+      Upvote.countDocuments({ user: user._id }),
+      listActiveSessions(user._id)
+    ]);
+
+    res.json({
+      ...user,
+      counts: {
+        reports:         byStatus.reduce((sum, s) => sum + s.count, 0),
+        reportsByStatus: Object.fromEntries(byStatus.map(s => [s._id, s.count])),
+        comments,
+        upvotes,
+        activeSessions:  sessions.length
+      }
+    });
+  })
+);
+
+/**
+ * PATCH /api/admin/users/:id/role
+ * { role } - the user is signed out everywhere so new tokens carry the role
+ */
+router.patch(
+  '/:id/role',
+  [
+    param('id', 'Invalid user ID').isMongoId(),
+    body('role', `Role must be one of: ${ROLES.join(', ')}`).isIn(ROLES)
+  ],
+  validate,
+  notSelf,
+  loadTarget,
+  asyncHandler(async (req, res) => {
+    const user = req.target;
+    const { role } = req.body;
+    if (user.role === role) {
+      return res.status(409).json({ msg: `User is already ${role}` });
+    }
+    if (await isLastAdmin(user)) {
+      return res.status(409).json({ msg: 'The last active admin cannot be demoted' });
+    }
+
+    user.role = role;
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    res.json({ msg: `Role changed to ${role}`, user: await User.findById(user._id).select(PRIVATE_FIELDS) });
+  })
+);
+
+/**
+ * POST /api/admin/users/:id/suspend
+ * { reason } - signs the user out and blocks them until unsuspended
+ */
+router.post(
+  '/:id/suspend',
+  [
+    param('id', 'Invalid user ID').isMongoId(),
+    body('reason', 'A reason is required').isString().trim().isLength({ min: 3, max: 500 })
+  ],
+  validate,
+  notSelf,
+  loadTarget,
+  asyncHandler(async (req, res) => {
+    const user = req.target;
+    if (user.suspendedAt) {
+      return res.status(409).json({ msg: 'User is already suspended' });
+    }
+    if (await isLastAdmin(user)) {
+      return res.status(409).json({ msg: 'The last active admin cannot be suspended' });
+    }
+
+    // Block access before recording it, so no request slips through in between
+    await suspendUserAccess(user._id);
+    user.suspendedAt = Date.now();
+    user.suspendedReason = req.body.reason;
+    user.suspendedBy = req.user.id;
+    try {
+      await user.save();
+    } catch (err) {
+      await restoreUserAccess(user._id);
+      throw err;
+    }
+
+    await queueEmail({
+      to:       user.email,
+      template: 'accountSuspended',
+      data:     { name: user.name, reason: user.suspendedReason }
+    });
+    res.json({ msg: 'User suspended', suspendedAt: user.suspendedAt, reason: user.suspendedReason });
+  })
+);
+
+/**
+ * POST /api/admin/users/:id/unsuspend
+ */
+router.post(
+  '/:id/unsuspend',
+  [ param('id', 'Invalid user ID').isMongoId() ],
+  validate,
+  loadTarget,
+  asyncHandler(async (req, res) => {
+    const user = req.target;
+    if (!user.suspendedAt) {
+      return res.status(409).json({ msg: 'User is not suspended' });
+    }
+
+    user.suspendedAt = undefined;
+    user.suspendedReason = undefined;
+    user.suspendedBy = undefined;
+    await user.save();
+    await restoreUserAccess(user._id);
+
+    await queueEmail({ to: user.email, template: 'accountRestored', data: { name: user.name } });
+    res.json({ msg: 'User unsuspended' });
+  })
+);
+
+/**
+ * POST /api/admin/users/:id/verify
+ * Mark the email as verified without the user clicking the link
+ */
+router.post(
+  '/:id/verify',
+  [ param('id', 'Invalid user ID').isMongoId() ],
+  validate,
+  loadTarget,
+  asyncHandler(async (req, res) => {
+    const user = req.target;
+    if (user.isVerified) {
+      return res.status(409).json({ msg: 'Email is already verified' });
+    }
+
+    user.isVerified = true;
+    user.verifiedAt = Date.now();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationTokenExpires = undefined;
+    await user.save();
+    res.json({ msg: 'Email marked as verified' });
+  })
+);
+
+/**
+ * POST /api/admin/users/:id/password-reset
+ * Email the user a password reset link
+ */
+router.post(
+  '/:id/password-reset',
+  [ param('id', 'Invalid user ID').isMongoId() ],
+  validate,
+  loadTarget,
+  asyncHandler(async (req, res) => {
+    await startPasswordReset(req.target);
+    res.json({ msg: 'Password reset email sent' });
+  })
+);
+
+export default router;
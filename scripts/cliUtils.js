@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+/**
+ * Shared plumbing for the management CLI (scripts/manage.js).
+ */
+
+// Process exit codes; listed in `npm run manage -- help`
+export const EXIT = {
+  OK:          0,
+  FAILED:      1,   // the command ran and something went wrong
+  USAGE:       2,   // bad arguments
+  NOT_FOUND:   3,   // the user/record the command targets does not exist
+  CONFLICT:    4,   // refused because of the current state (e.g. admin already exists)
+  UNAVAILABLE: 5    // could not reach MongoDB or Redis
+};
+
+const CONNECT_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Thrown by commands to stop with a message and a specific exit code.
+ */
+export class CliError extends Error {
+  constructor(message, exitCode = EXIT.FAILED) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+export const usageError = message => new CliError(message, EXIT.USAGE);
+
+/**
+ * Parse a numeric option, throwing a usage error when it is malformed or
+ * out of range. Missing options give `fallback`.
+ */
+export function numberOption(opts, name, { min = -Infinity, max = Infinity, integer = false, fallback } = {}) {
+  if (opts[name] === undefined) return fallback;
+  const value = Number(opts[name]);
+  if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    const kind = integer ? 'an integer' : 'a number';
+    throw usageError(`--${name} must be ${kind} between ${min} and ${max}`);
+  }
+  return value;
+}
+
+export function requireOption(opts, name) {
+  if (!opts[name]) throw usageError(`--${name} is required`);
+  return opts[name];
+}
+
+// Reject if `promise` has not settled in time (a missing server would
+// otherwise leave the CLI retrying forever)
+function withTimeout(promise, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new CliError(`Timed out connecting to ${what}`, EXIT.UNAVAILABLE)),
+      CONNECT_TIMEOUT_MS
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export async function connectMongo() {
+  if (!process.env.MONGO_URI) {
+    throw new CliError('MONGO_URI is not set', EXIT.UNAVAILABLE);
+  }
+  try {
+    await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: CONNECT_TIMEOUT_MS });
+  } catch (err) {
+    throw new CliError(`Could not connect to MongoDB: ${err.message}`, EXIT.UNAVAILABLE);
+  }
+}
+
+let redisModule;
+
+/**
+ * Connect to Redis. Importing utils/redisClient.js connects, so commands
+ * call this before dynamically importing anything that uses Redis (and
+ * commands that do not need it never touch it). Times out rather than
+ * retrying forever when Redis is down.
+ */
+export function connectRedis() {
+  if (!redisModule) {
+    redisModule = withTimeout(import('../utils/redisClient.js'), 'Redis').catch(err => {
+      throw err instanceof CliError
+        ? err
+        : new CliError(`Could not connect to Redis: ${err.message}`, EXIT.UNAVAILABLE);
+    });
+  }
+  return redisModule;
+}
+
+/**
+ * Close whatever connections the command opened.
+ */
+export async function disconnect() {
+  await mongoose.disconnect().catch(() => {});
+  if (redisModule) {
+    const { default: redisClient } = await redisModule.catch(() => ({}));
+    if (redisClient && redisClient.isOpen) await redisClient.quit().catch(() => {});
+  }
+}
@@ -0,0 +1,158 @@
+import Report from '../../models/Report.js';
+import Comment from '../../models/Comment.js';
+import Upvote from '../../models/Upvote.js';
+import StatusHistory from '../../models/StatusHistory.js';
+import { toKey } from '../../utils/storage/index.js';
+import { shownCommentIds } from '../../utils/commentThreads.js';
+import { connectRedis, usageError } from '../cliUtils.js';
+
+/**
+ * Fill in fields that documents written before a schema change lack.
+ *
+ * Each task returns the bulk operations it would run, so --dry-run can
+ * count them. Operations go to the driver collection directly: these are
+ * corrections, and must not bump updatedAt (analytics fall back to it for
+ * reports fixed before fixedAt existed).
+ */
+const BATCH_SIZE = 500;
+
+async function upvotesByReport() {
+  const rows = await Upvote.aggregate([
+    { $group: { _id: '$report', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(r => [r._id.toString(), r.count]));
+}
+
+// Counted like recountReport: only comments the thread listing shows
+async function shownCommentsByReport() {
+  const comments = await Comment.find({}).select('report parent status').lean();
+  const shown = shownCommentIds(comments);
+  const counts = new Map();
+  for (const c of comments) {
+    if (!shown.has(c._id.toString())) continue;
+    const id = c.report.toString();
+    counts.set(id, (counts.get(id) || 0) + 1);
+  }
+  return counts;
+}
+
+const TASKS = {
+  // upvoteCount / commentCount (added with sorting; see reportCounters.js)
+  async counts() {
+    const [upvotes, comments] = await Promise.all([upvotesByReport(), shownCommentsByReport()]);
+    const ops = [];
+    const cursor = Report.find({}).select('upvoteCount commentCount').lean().cursor();
+    for await (const report of cursor) {
+      const upvoteCount = upvotes.get(report._id.toString()) || 0;
+      const commentCount = comments.get(report._id.toString()) || 0;
+      if (report.upvoteCount !== upvoteCount || report.commentCount !== commentCount) {
+        ops.push({ updateOne: { filter: { _id: report._id }, update: { $set: { upvoteCount, commentCount } } } });
+      }
+    }
+    return { model: Report, ops };
+  },
+
+  // fixedAt for Fixed reports from before it was recorded: when the
+  // history says they were fixed, else their last update
+  async 'fixed-at'() {
+    const reports = await Report.find({ status: 'Fixed', fixedAt: null }).select('updatedAt').lean();
+    const fixes = await StatusHistory.aggregate([
+      { $match: { report: { $in: reports.map(r => r._id) }, to: 'Fixed' } },
+      { $group: { _id: '$report', at: { $max: '$createdAt' } } }
+    ]);
+    const fixedAt = new Map(fixes.map(f => [f._id.toString(), f.at]));
+    const ops = reports.map(r => ({
+      updateOne: {
+        filter: { _id: r._id },
+        update: { $set: { fixedAt: fixedAt.get(r._id.toString()) || r.updatedAt } }
+      }
+    }));
+    return { model: Report, ops };
+  },
+
+  // "/uploads/<file>" paths stored before reports held storage keys
+  async 'image-keys'() {
+    const legacy = /^\/uploads\//;
+    const reports = await Report.find({
+      $or: [{ imageUrls: legacy }, { 'images.thumb': legacy }, { 'images.medium': legacy }, { 'images.full': legacy }]
+    }).select('images imageUrls').lean();
+    const ops = reports.map(r => ({
+      updateOne: {
+        filter: { _id: r._id },
+        update: {
+          $set: {
+            imageUrls: (r.imageUrls || []).map(toKey),
+            images: (r.images || []).map(img => ({
+              ...img,
+              thumb:  toKey(img.thumb),
+              medium: toKey(img.medium),
+              full:   toKey(img.full)
+            }))
+          }
+        }
+      }
+    }));
+    return { model: Report, ops };
+  },
+
+  // Moderation and threading fields on comments written before them
+  async 'comment-fields'() {
+    const defaults = { status: 'published', flagCount: 0, parent: null, thread: null, official: false, pinned: false };
+    const filter = { $or: Object.keys(defaults).map(field => ({ [field]: { $exists: false } })) };
+    const missing = await Comment.countDocuments(filter);
+    // Pipeline update: set each field only where it is missing
+    const update = [{
+      $set: Object.fromEntries(Object.entries(defaults).map(([field, value]) => [field, { $ifNull: [`$${field}`, value] }]))
+    }];
+    return { model: Comment, ops: missing ? [{ updateMany: { filter, update } }] : [], documents: missing };
+  }
+};
+
+async function bulkWrite(model, ops) {
+  let modified = 0;
+  for (let i = 0; i < ops.length; i += BATCH_SIZE) {
+    const result = await model.collection.bulkWrite(ops.slice(i, i + BATCH_SIZE), { ordered: false });
+    modified += result.modifiedCount;
+  }
+  return modified;
+}
+
+export default {
+  name:    'backfill',
+  summary: 'Fill in fields missing from documents written before schema changes',
+  usage:   `[--only <${Object.keys(TASKS).join('|')}>[,...]]`,
+  help:    'Runs every task unless --only is given. Safe to run repeatedly.',
+  options: {
+    only: { type: 'string' }
+  },
+  parse(opts) {
+    const names = opts.only ? opts.only.split(',').map(s => s.trim()) : Object.keys(TASKS);
+    const unknown = names.filter(n => !TASKS[n]);
+    if (unknown.length) {
+      throw usageError(`Unknown task ${unknown.join(', ')}; one of: ${Object.keys(TASKS).join(', ')}`);
+    }
+    return { names };
+  },
+  async run({ names }, { dryRun }) {
+    let reportsChanged = 0;
+    for (const name of names) {
+      const { model, ops, documents } = await TASKS[name]();
+      const count = documents ?? ops.length;
+      if (dryRun) {
+        console.log(`${name}: would update ${count} ${model.modelName.toLowerCase()}(s)`);
+        continue;
+      }
+      const modified = await bulkWrite(model, ops);
+      if (model === Report) reportsChanged += modified;
+      console.log(`${name}: updated ${modified} ${model.modelName.toLowerCase()}(s)`);
+    }
+
+    if (reportsChanged) {
+      // Cached views show the old values
+      await connectRedis();
+      const { invalidateReportCaches } = await import('../../utils/cacheUtils.js');
+      await invalidateReportCaches();
+    }
+    console.log(dryRun ? 'Dry run; nothing changed' : '✅ Backfill complete');
+  }
+};
@@ -0,0 +1,39 @@
+import { connectRedis, usageError } from '../cliUtils.js';
+
+// The TAGS of utils/cacheUtils.js, which cannot be imported without Redis
+const TAG_NAMES = ['reports', 'categories'];
+
+export default {
+  name:    'flush-cache',
+  summary: 'Invalidate cached report (and optionally category) views in Redis',
+  usage:   '[--tag <reports|categories|all>] [--reset-stats]',
+  help:    'Bumps the cache tag versions, so entries expire instead of being deleted one by one.',
+  mongo:   false,
+  options: {
+    tag:           { type: 'string', default: 'reports' },
+    'reset-stats': { type: 'boolean', default: false }
+  },
+  parse(opts) {
+    if (![...TAG_NAMES, 'all'].includes(opts.tag)) {
+      throw usageError(`--tag must be one of: ${[...TAG_NAMES, 'all'].join(', ')}`);
+    }
+    return { tags: opts.tag === 'all' ? TAG_NAMES : [opts.tag], resetStats: opts['reset-stats'] };
+  },
+  async run({ tags, resetStats }, { dryRun }) {
+    await connectRedis();
+    const { invalidateTags, getCacheStats, resetCacheStats } = await import('../../utils/cacheUtils.js');
+
+    if (dryRun) {
+      console.log(`Would invalidate cache tag(s): ${tags.join(', ')}`);
+      if (resetStats) console.log('Would reset hit/miss stats:', await getCacheStats());
+      return;
+    }
+
+    await invalidateTags(...tags);
+    console.log(`✅ Invalidated cache tag(s): ${tags.join(', ')}`);
+    if (resetStats) {
+      await resetCacheStats();
+      console.log('Hit/miss stats reset');
+    }
+  }
+};
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import '../../models/User.js';
+import '../../models/Report.js';
+import '../../models/Category.js';
+import '../../models/Comment.js';
+import '../../models/Upvote.js';
+import '../../models/StatusHistory.js';
+import '../../models/Notification.js';
+import '../../models/Session.js';
+import '../../models/OutboxEmail.js';
+import { usageError } from '../cliUtils.js';
+
+// diffIndexes lists indexes to drop by name and ones to create by key
+const describe = index => (typeof index === 'string' ? index : JSON.stringify(index));
+
+export default {
+  name:    'rebuild-indexes',
+  summary: 'Create missing indexes and drop ones no schema declares',
+  usage:   '[--model <name>] [--keep-extra]',
+  help:    '--keep-extra only creates missing indexes. --dry-run lists the changes.',
+  options: {
+    model:        { type: 'string' },
+    'keep-extra': { type: 'boolean', default: false }
+  },
+  parse(opts) {
+    const names = opts.model ? [opts.model] : mongoose.modelNames().sort();
+    const unknown = names.filter(n => !mongoose.modelNames().includes(n));
+    if (unknown.length) {
+      throw usageError(`Unknown model ${unknown.join(', ')}; one of: ${mongoose.modelNames().sort().join(', ')}`);
+    }
+    return { names, keepExtra: opts['keep-extra'] };
+  },
+  async run({ names, keepExtra }, { dryRun }) {
+    let changes = 0;
+    for (const name of names) {
+      const model = mongoose.model(name);
+      const { toDrop, toCreate } = await model.diffIndexes();
+      const dropped = keepExtra ? [] : toDrop;
+      changes += dropped.length + toCreate.length;
+
+      dropped.forEach(index => console.log(`${name}: ${dryRun ? 'would drop' : 'drop'} ${describe(index)}`));
+      toCreate.forEach(index => console.log(`${name}: ${dryRun ? 'would create' : 'create'} ${describe(index)}`));
+      if (dryRun || (!dropped.length && !toCreate.length)) continue;
+
+      if (keepExtra) {
+        await model.createIndexes();
+      } else {
+        await model.syncIndexes();
+      }
+    }
+
+    console.log(changes
+      ? `✅ ${changes} index change(s)${dryRun ? ' pending' : ' applied'}`
+      : '✅ Indexes already match the schemas');
+  }
+};
@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../../models/User.js';
+import Report from '../../models/Report.js';
+import Category from '../../models/Category.js';
+import Upvote from '../../models/Upvote.js';
+import StatusHistory from '../../models/StatusHistory.js';
+import { connectRedis, numberOption, requireOption } from '../cliUtils.js';
+
+// Demo accounts are recognised (and cleared) by this email domain
+const DEMO_DOMAIN = 'demo.invalid';
+const DEMO_EMAIL = new RegExp(`@${DEMO_DOMAIN.replace('.', '\\.')}$`);
+const METERS_PER_DEGREE = 111320;
+
+// Weighted towards open reports, like a real backlog
+const SEED_STATUSES = ['Pending', 'Pending', 'Pending', 'In Progress', 'In Progress', 'Fixed', 'Rejected'];
+
+const DESCRIPTIONS = [
+  'Deep pothole in the right lane, cars are swerving around it',
+  'Streetlight has been out for several nights',
+  'Graffiti on the wall next to the bus stop',
+  'Broken paving slab, easy to trip over',
+  'Overflowing bin attracting pests',
+  'Fallen branch blocking part of the footpath',
+  'Drain is blocked and the road floods when it rains'
+];
+
+const pick = items => items[crypto.randomInt(items.length)];
+
+// Uniformly distributed point within `radius` meters of lat/lng
+function randomPointNear(lat, lng, radius) {
+  const distance = radius * Math.sqrt(Math.random());
+  const bearing = Math.random() * 2 * Math.PI;
+  const dLat = (distance * Math.cos(bearing)) / METERS_PER_DEGREE;
+  const dLng = (distance * Math.sin(bearing)) / (METERS_PER_DEGREE * Math.cos(lat * Math.PI / 180));
+  return { lat: lat + dLat, lng: lng + dLng };
+}
+
+async function clearDemoData({ dryRun }) {
+  const users = await User.find({ email: DEMO_EMAIL }).select('_id');
+  const reports = await Report.find({ user: { $in: users.map(u => u._id) } });
+  if (dryRun) {
+    console.log(`Would delete ${reports.length} demo report(s) and ${users.length} demo user(s)`);
+    return;
+  }
+
+  // Photos, comments, upvotes and history go with the reports
+  const { bulkDelete } = await import('../../utils/bulkReports.js');
+  await bulkDelete({ reports, notifyOwners: false });
+  await Upvote.deleteMany({ user: { $in: users.map(u => u._id) } });
+  await User.deleteMany({ _id: { $in: users.map(u => u._id) } });
+  console.log(`Deleted ${reports.length} demo report(s) and ${users.length} demo user(s)`);
+}
+
+async function ensureDemoUsers(count, password) {
+  const hash = await bcrypt.hash(password, await bcrypt.genSalt(10));
+  const users = [];
+  for (let i = 1; i <= count; i++) {
+    const email = `demo-user-${i}@${DEMO_DOMAIN}`;
+    users.push(await User.findOneAndUpdate(
+      { email },
+      {
+        $setOnInsert: {
+          name:       `Demo User ${i}`,
+          email,
+          password:   hash,
+          mobile:     '0000000000',
+          isVerified: true,
+          verifiedAt: Date.now()
+        }
+      },
+      { upsert: true, new: true }
+    ));
+  }
+  return users;
+}
+
+function demoReport({ users, categories, lat, lng, radius, days }) {
+  const point = randomPointNear(lat, lng, radius);
+  const createdAt = new Date(Date.now() - Math.random() * days * 24 * 60 * 60 * 1000);
+  const status = pick(SEED_STATUSES);
+  const upvoters = users.filter(() => Math.random() < 0.3);
+  return {
+    report: {
+      user:         pick(users)._id,
+      issueType:    pick(categories),
+      location:     { type: 'Point', coordinates: [point.lng, point.lat] },
+      address:      `${point.lat.toFixed(5)}, ${point.lng.toFixed(5)}`,
+      description:  pick(DESCRIPTIONS),
+      status,
+      rejectReason: status === 'Rejected' ? 'Not something the city maintains (demo data)' : undefined,
+      fixedAt:      status === 'Fixed' ? createdAt : undefined,
+      upvoteCount:  upvoters.length,
+      createdAt
+    },
+    upvoters
+  };
+}
+
+export default {
+  name:    'seed',
+  summary: 'Create demo users and reports around a location',
+  usage:   '--lat <lat> --lng <lng> [--radius <meters>] [--reports <n>] [--users <n>] [--days <n>] [--password <pw>] [--clear]',
+  help:    `Demo users are demo-user-<n>@${DEMO_DOMAIN}. --clear deletes earlier demo data first.`,
+  options: {
+    lat:      { type: 'string' },
+    lng:      { type: 'string' },
+    radius:   { type: 'string' },
+    reports:  { type: 'string' },
+    users:    { type: 'string' },
+    days:     { type: 'string' },
+    password: { type: 'string', default: 'demo1234' },
+    clear:    { type: 'boolean', default: false }
+  },
+  parse(opts) {
+    requireOption(opts, 'lat');
+    requireOption(opts, 'lng');
+    return {
+      lat:         numberOption(opts, 'lat', { min: -85, max: 85 }),
+      lng:         numberOption(opts, 'lng', { min: -180, max: 180 }),
+      radius:      numberOption(opts, 'radius', { min: 10, max: 50000, fallback: 2000 }),
+      reportCount: numberOption(opts, 'reports', { min: 0, max: 5000, integer: true, fallback: 50 }),
+      userCount:   numberOption(opts, 'users', { min: 1, max: 100, integer: true, fallback: 5 }),
+      days:        numberOption(opts, 'days', { min: 1, max: 365, fallback: 30 }),
+      password:    opts.password,
+      clear:       opts.clear
+    };
+  },
+  async run({ lat, lng, radius, reportCount, userCount, days, password, clear }, { dryRun }) {
+    if (!dryRun) {
+      // Demo data changes every cached report view
+      await connectRedis();
+    }
+    if (clear) await clearDemoData({ dryRun });
+
+    if (dryRun) {
+      console.log(`Would create up to ${userCount} demo user(s) and ${reportCount} report(s) within ${radius}m of ${lat}, ${lng}`);
+      return;
+    }
+
+    const { ensureDefaultCategories } = await import('../../utils/categoryUtils.js');
+    const { invalidateReportCaches } = await import('../../utils/cacheUtils.js');
+    await ensureDefaultCategories();
+    const categories = await Category.find({ active: true }).distinct('name');
+
+    const users = await ensureDemoUsers(userCount, password);
+    const seeded = Array.from(
+      { length: reportCount },
+      () => demoReport({ users, categories, lat, lng, radius, days })
+    );
+    const reports = await Report.insertMany(seeded.map(s => s.report));
+
+    await StatusHistory.insertMany(reports.flatMap(report => [
+      { report: report._id, actor: report.user, to: 'Pending', createdAt: report.createdAt },
+      ...(report.status === 'Pending' ? [] : [{ report: report._id, from: 'Pending', to: report.status }])
+    ]));
+    await Upvote.insertMany(reports.flatMap((report, i) =>
+      seeded[i].upvoters.map(u => ({ user: u._id, report: report._id }))
+    ));
+    await invalidateReportCaches();
+
+    console.log(`🌱 Seeded ${reports.length} report(s) from ${users.length} demo user(s) (password: ${password})`);
+  }
+};
@@ -0,0 +1,64 @@
+import Report from '../../models/Report.js';
+import storage, { deleteObjects, reportObjectKeys } from '../../utils/storage/index.js';
+import { CliError, numberOption } from '../cliUtils.js';
+
+/**
+ * Stored objects no report references: leftovers from failed deletes
+ * (see deleteObjects) and from reports removed before images were
+ * cleaned up with them.
+ *
+ * Objects are listed before references are collected, so an upload whose
+ * report is saved while this runs is still seen as referenced. Only an
+ * upload still being processed when references are read could be caught;
+ * run it when traffic is low.
+ */
+async function findOrphans(prefix) {
+  const stored = await storage.list(prefix);
+
+  const referenced = new Set();
+  const cursor = Report.find({}).select('images imageUrls').lean().cursor();
+  for await (const report of cursor) {
+    reportObjectKeys(report).forEach(key => referenced.add(key));
+  }
+
+  return { stored: stored.length, orphans: stored.filter(key => !referenced.has(key)) };
+}
+
+export default {
+  name:    'purge-uploads',
+  summary: `Delete stored files (${storage.name} storage) that no report references`,
+  usage:   '[--prefix <key prefix>] [--limit <n>]',
+  help:    '--limit caps how many files are deleted in one run. --dry-run lists them.',
+  options: {
+    prefix: { type: 'string', default: '' },
+    limit:  { type: 'string' }
+  },
+  parse(opts) {
+    return {
+      prefix: opts.prefix,
+      limit:  numberOption(opts, 'limit', { min: 1, integer: true, fallback: Infinity })
+    };
+  },
+  async run({ prefix, limit }, { dryRun }) {
+    const { stored, orphans } = await findOrphans(prefix);
+    const batch = orphans.slice(0, limit);
+
+    if (dryRun) {
+      batch.forEach(key => console.log(key));
+      console.log(`Would delete ${batch.length} of ${stored} stored file(s)`);
+      return;
+    }
+
+    // deleteObjects logs rather than throws; check what is left afterwards
+    await deleteObjects(batch);
+    const remaining = new Set(await storage.list(prefix));
+    const failed = batch.filter(key => remaining.has(key));
+    console.log(`🧹 Deleted ${batch.length - failed.length} of ${stored} stored file(s)`);
+    if (orphans.length > batch.length) {
+      console.log(`${orphans.length - batch.length} more orphaned file(s) left by --limit`);
+    }
+    if (failed.length) {
+      throw new CliError(`${failed.length} file(s) could not be deleted`);
+    }
+  }
+};
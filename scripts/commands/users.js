@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../../models/User.js';
+import { CliError, EXIT, connectRedis, requireOption, usageError } from '../cliUtils.js';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// A password given on the command line, or a random one to print once
+function choosePassword(opts) {
+  if (opts.password === undefined) {
+    return { password: crypto.randomBytes(12).toString('base64url'), generated: true };
+  }
+  if (opts.password.length < MIN_PASSWORD_LENGTH) {
+    throw usageError(`--password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return { password: opts.password, generated: false };
+}
+
+async function hashPassword(password) {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+}
+
+export const createAdmin = {
+  name:    'create-admin',
+  summary: 'Create a verified admin account',
+  usage:   '--email <email> [--name <name>] [--mobile <number>] [--password <password>]',
+  help:    'Without --password a random one is generated and printed. Exits 4 if the email is taken.',
+  options: {
+    email:    { type: 'string' },
+    name:     { type: 'string', default: 'Admin' },
+    mobile:   { type: 'string', default: '0000000000' },
+    password: { type: 'string' }
+  },
+  parse(opts) {
+    return {
+      email:  requireOption(opts, 'email').trim().toLowerCase(),
+      name:   opts.name,
+      mobile: opts.mobile,
+      ...choosePassword(opts)
+    };
+  },
+  async run({ email, name, mobile, password, generated }, { dryRun }) {
+    const existing = await User.findOne({ email }).select('role');
+    if (existing) {
+      throw new CliError(`A ${existing.role} account already exists for ${email}`, EXIT.CONFLICT);
+    }
+
+    if (dryRun) {
+      console.log(`Would create admin ${email}`);
+      return;
+    }
+
+    await User.create({
+      name,
+      email,
+      password:   await hashPassword(password),
+      mobile,
+      isVerified: true,
+      verifiedAt: Date.now(),
+      role:       'admin'
+    });
+    console.log(`🚀 Admin ${email} created`);
+    if (generated) console.log(`Password: ${password}`);
+  }
+};
+
+export const resetPassword = {
+  name:    'reset-password',
+  summary: "Set a new password for a user and sign them out everywhere",
+  usage:   '--email <email> [--password <password>]',
+  help:    'Without --password a random one is generated and printed. Exits 3 if there is no such user.',
+  options: {
+    email:    { type: 'string' },
+    password: { type: 'string' }
+  },
+  parse(opts) {
+    return { email: requireOption(opts, 'email').trim().toLowerCase(), ...choosePassword(opts) };
+  },
+  async run({ email, password, generated }, { dryRun }) {
+    const user = await User.findOne({ email });
+    if (!user) {
+      throw new CliError(`No user with email ${email}`, EXIT.NOT_FOUND);
+    }
+
+    if (dryRun) {
+      console.log(`Would reset the password of ${user.role} ${email} and end their sessions`);
+      return;
+    }
+
+    // Connect first so a Redis outage fails before anything changes
+    await connectRedis();
+    const { revokeAllSessions } = await import('../../utils/sessionUtils.js');
+
+    user.password = await hashPassword(password);
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    await user.save();
+    const revoked = await revokeAllSessions(user._id);
+
+    console.log(`✅ Password reset for ${email}; ${revoked} session(s) ended`);
+    if (generated) console.log(`Password: ${password}`);
+  }
+};
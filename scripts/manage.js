@@ -0,0 +1,96 @@
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { EXIT, CliError, connectMongo, disconnect } from './cliUtils.js';
+import { createAdmin, resetPassword } from './commands/users.js';
+import seed from './commands/seed.js';
+import rebuildIndexes from './commands/indexes.js';
+import purgeUploads from './commands/uploads.js';
+import backfill from './commands/backfill.js';
+import flushCache from './commands/cache.js';
+
+/**
+ * Management CLI.
+ *
+ *   npm run manage -- <command> [options] [--dry-run]
+ *   npm run manage -- help [command]
+ *
+ * Every command accepts --dry-run (report what would change, change
+ * nothing) and exits with one of the EXIT codes in cliUtils.js. A command
+ * checks its options in parse() before anything connects, so bad
+ * arguments exit USAGE even when MongoDB or Redis is down.
+ * Connection settings come from .env, as for the server.
+ */
+const COMMANDS = [createAdmin, resetPassword, seed, rebuildIndexes, purgeUploads, backfill, flushCache];
+
+const COMMON_OPTIONS = {
+  'dry-run': { type: 'boolean', default: false },
+  help:      { type: 'boolean', short: 'h', default: false }
+};
+
+function printUsage(command) {
+  if (command) {
+    console.log(`Usage: npm run manage -- ${command.name} ${command.usage} [--dry-run]\n`);
+    console.log(command.summary);
+    if (command.help) console.log(command.help);
+    return;
+  }
+
+  console.log('Usage: npm run manage -- <command> [options] [--dry-run]\n\nCommands:');
+  const width = Math.max(...COMMANDS.map(c => c.name.length));
+  COMMANDS.forEach(c => console.log(`  ${c.name.padEnd(width)}  ${c.summary}`));
+  console.log('\nExit codes:');
+  Object.entries(EXIT).forEach(([name, code]) => console.log(`  ${code}  ${name}`));
+}
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    printUsage(COMMANDS.find(c => c.name === rest[0]));
+    return name ? EXIT.OK : EXIT.USAGE;
+  }
+
+  const command = COMMANDS.find(c => c.name === name);
+  if (!command) {
+    console.error(`Unknown command: ${name}\n`);
+    printUsage();
+    return EXIT.USAGE;
+  }
+
+  let opts;
+  try {
+    ({ values: opts } = parseArgs({
+      args:    rest,
+      options: { ...COMMON_OPTIONS, ...command.options },
+      strict:  true
+    }));
+  } catch (err) {
+    console.error(`❌ ${err.message}\n`);
+    printUsage(command);
+    return EXIT.USAGE;
+  }
+  if (opts.help) {
+    printUsage(command);
+    return EXIT.OK;
+  }
+
+  try {
+    const args = command.parse(opts);
+    if (command.mongo !== false) await connectMongo();
+    await command.run(args, { dryRun: opts['dry-run'] });
+    return EXIT.OK;
+  } catch (err) {
+    if (err instanceof CliError) {
+      console.error(`❌ ${err.message}`);
+      if (err.exitCode === EXIT.USAGE) printUsage(command);
+      return err.exitCode;
+    }
+    console.error(`❌ ${name} failed:`, err);
+    return EXIT.FAILED;
+  } finally {
+    await disconnect();
+  }
+}
+
+// The one place the CLI exits; a Redis client still retrying would
+// otherwise keep the process alive
+process.exit(await main(process.argv.slice(2)));
@@ -2,20 +2,35 @@ import 'dotenv/config';
 import express      from 'express';
 import mongoose     from 'mongoose';
 import cors         from 'cors';
-import path         from 'path';
-import { fileURLToPath } from 'url';
 
 import adminRoutes from './routes/admin.js';
 import authRoutes   from './routes/auth.js';
 import reportRoutes from './routes/reports.js';
 import commentsRouter from './routes/comments.js';
 import redisRouter from './routes/redis.js'
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname  = path.dirname(__filename);
+import crewRoutes from './routes/crew.js';
+import categoryRoutes from './routes/categories.js';
+import notificationRoutes from './routes/notifications.js';
+import emailRoutes from './routes/emails.js';
+import analyticsRoutes from './routes/analytics.js';
+import commentModerationRoutes from './routes/commentModeration.js';
+import userRoutes from './routes/users.js';
+import realtimeRoutes from './routes/realtime.js';
+import open311Routes from './routes/open311.js';
+import { ensureDefaultCategories } from './utils/categoryUtils.js';
+import storage from './utils/storage/index.js';
+import { startEmailWorker } from './utils/emailOutbox.js';
+import { startRealtime } from './utils/realtime.js';
 
 const app = express();
 
+// Behind a load balancer req.ip must come from X-Forwarded-For (used by rate limits)
+// (TRUST_PROXY is a hop count like "1", or an address list like "loopback")
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -23,12 +38,22 @@ app.use(express.json());
 // Mount routes
 app.use('/api/auth',   authRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/admin/categories', categoryRoutes);
+app.use('/api/admin/emails', emailRoutes);
+app.use('/api/admin/analytics', analyticsRoutes);
+app.use('/api/admin/comments', commentModerationRoutes);
+app.use('/api/admin/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/comments', commentsRouter);
 app.use('/api/redis', redisRouter);
+app.use('/api/crew', crewRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/open311/v2', open311Routes);
 
-// Serve image uploads
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve image uploads (local storage driver only; S3 objects are fetched from the bucket)
+const uploadsHandler = storage.middleware();
+if (uploadsHandler) app.use('/uploads', uploadsHandler);
 
 // Health check
 app.get('/', (req, res) => res.send('API is running'));
@@ -39,8 +64,11 @@ mongoose
     useNewUrlParser:    true,
     useUnifiedTopology: true
   })
-  .then(() => {
+  .then(async () => {
     console.log('✅ MongoDB connected');
+    await ensureDefaultCategories();
+    startEmailWorker();
+    await startRealtime();
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () =>
       console.log(`🚀 Server listening on port ${PORT}`)
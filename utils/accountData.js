@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import path from 'path';
+import bcrypt from 'bcryptjs';
+import archiver from 'archiver';
+import User from '../models/User.js';
+import Report from '../models/Report.js';
+import Comment from '../models/Comment.js';
+import Upvote from '../models/Upvote.js';
+import Notification from '../models/Notification.js';
+import Session from '../models/Session.js';
+import OutboxEmail from '../models/OutboxEmail.js';
+import storage, { reportObjectKeys } from './storage/index.js';
+import { revokeAllSessions } from './sessionUtils.js';
+import { recountReport } from './reportCounters.js';
+import { invalidateReportCaches } from './cacheUtils.js';
+import { bulkDelete } from './bulkReports.js';
+import { deleteWithReplies } from './commentThreads.js';
+
+/**
+ * Self-service personal data: export everything we hold about a user, and
+ * delete their account.
+ *
+ * ACCOUNT_DELETION_POLICY decides what happens to a leaving user's content:
+ *  - anonymize (default): reports the city has started on, comments and
+ *    upvotes stay but move to a shared "Deleted user" placeholder account.
+ *    Reports still Pending are deleted with their photos.
+ *  - delete: all of the user's reports (with photos), comments (with
+ *    their replies) and upvotes are deleted.
+ */
+export const DELETION_POLICIES = ['anonymize', 'delete'];
+export const DELETION_POLICY = DELETION_POLICIES.includes(process.env.ACCOUNT_DELETION_POLICY)
+  ? process.env.ACCOUNT_DELETION_POLICY
+  : 'anonymize';
+
+const PLACEHOLDER_EMAIL = 'deleted-user@users.invalid';
+
+// Never exported: credentials and one-time tokens
+const PRIVATE_USER_FIELDS =
+  '-password -emailVerificationToken -emailVerificationTokenExpires -resetPasswordToken -resetPasswordExpires';
+
+/**
+ * Stream a ZIP of the user's data to `res`:
+ *   profile.json, reports.json, comments.json, upvotes.json,
+ *   images/<storage key> for every photo on their reports,
+ *   manifest.json (what is included, and any photo that could not be read)
+ */
+export async function streamAccountExport(userId, res) {
+  const [user, reports, comments, upvotes] = await Promise.all([
+    User.findById(userId).select(PRIVATE_USER_FIELDS).lean(),
+    Report.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    Comment.find({ user: userId })
+      .select('-flags -moderatedBy')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Upvote.find({ user: userId })
+      .populate('report', 'issueType address')
+      .sort({ createdAt: 1 })
+      .lean()
+  ]);
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="my-data-${date}.zip"`);
+
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    res.on('close', resolve);
+  });
+  archive.pipe(res);
+
+  const json = value => JSON.stringify(value, null, 2);
+  archive.append(json(user), { name: 'profile.json' });
+  archive.append(json(reports), { name: 'reports.json' });
+  archive.append(json(comments), { name: 'comments.json' });
+  archive.append(json(upvotes), { name: 'upvotes.json' });
+
+  const missingImages = [];
+  for (const key of reports.flatMap(reportObjectKeys)) {
+    try {
+      archive.append(await storage.get(key), { name: path.posix.join('images', key) });
+    } catch (err) {
+      missingImages.push(key);
+    }
+  }
+
+  archive.append(json({
+    exportedAt: new Date().toISOString(),
+    counts: {
+      reports:  reports.length,
+      comments: comments.length,
+      upvotes:  upvotes.length,
+      images:   reports.flatMap(reportObjectKeys).length - missingImages.length
+    },
+    missingImages
+  }), { name: 'manifest.json' });
+
+  await archive.finalize();
+  await finished;
+}
+
+// Shared account that anonymized content is moved to; it cannot log in
+async function placeholderUser() {
+  return User.findOneAndUpdate(
+    { email: PLACEHOLDER_EMAIL },
+    {
+      $setOnInsert: {
+        name:       'Deleted user',
+        email:      PLACEHOLDER_EMAIL,
+        password:   await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+        mobile:     '0000000000',
+        isVerified: false
+      }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Delete a user's account: sessions first (so no token keeps working),
+ * then their content per DELETION_POLICY, their notifications, queued
+ * emails and finally the user itself. Returns a summary of what happened.
+ */
+export async function deleteAccount(user, policy = DELETION_POLICY) {
+  const userId = user._id;
+  await revokeAllSessions(userId);
+
+  const reports = await Report.find({ user: userId });
+  const comments = await Comment.find({ user: userId });
+  const upvotes = await Upvote.find({ user: userId }).select('report').lean();
+  const touchedReports = new Set(upvotes.map(u => u.report.toString()));
+
+  let deletedReports = reports;
+  if (policy === 'anonymize') {
+    const placeholder = await placeholderUser();
+    deletedReports = reports.filter(r => r.status === 'Pending');
+    const kept = reports.filter(r => r.status !== 'Pending').map(r => r._id);
+    await Report.updateMany({ _id: { $in: kept } }, { $set: { user: placeholder._id } });
+    await Comment.updateMany({ user: userId }, { $set: { user: placeholder._id } });
+
+    // Upvotes are unique per user, so ones the placeholder already has are dropped
+    const taken = await Upvote.find({ user: placeholder._id, report: { $in: [...touchedReports] } })
+      .distinct('report');
+    await Upvote.deleteMany({ user: userId, report: { $in: taken } });
+    await Upvote.updateMany({ user: userId }, { $set: { user: placeholder._id } });
+  } else {
+    for (const comment of comments) {
+      touchedReports.add(comment.report.toString());
+      // May already be gone as a reply to an earlier one
+      if (await Comment.exists({ _id: comment._id })) await deleteWithReplies(comment);
+    }
+    await Upvote.deleteMany({ user: userId });
+  }
+
+  // Deletes the reports' photos, upvotes, comments and history too
+  await bulkDelete({ reports: deletedReports, notifyOwners: false });
+  deletedReports.forEach(r => touchedReports.delete(r._id.toString()));
+
+  // Crew members leaving drop out of their assignments
+  await Report.updateMany({ assignee: userId }, { $unset: { assignee: '', assignedAt: '' } });
+
+  for (const reportId of touchedReports) {
+    await recountReport(reportId);
+  }
+
+  await Promise.all([
+    Notification.deleteMany({ user: userId }),
+    Session.deleteMany({ user: userId }),
+    OutboxEmail.deleteMany({ to: user.email })
+  ]);
+  await User.deleteOne({ _id: userId });
+  await invalidateReportCaches();
+
+  return {
+    policy,
+    reportsDeleted:    deletedReports.length,
+    reportsAnonymized: reports.length - deletedReports.length,
+    comments:          comments.length,
+    upvotes:           upvotes.length
+  };
+}
@@ -0,0 +1,212 @@
+import Report from '../models/Report.js';
+import Upvote from '../models/Upvote.js';
+import Comment from '../models/Comment.js';
+import StatusHistory from '../models/StatusHistory.js';
+import { notifyBatch } from './notify.js';
+import { invalidateReportCaches } from './cacheUtils.js';
+import { deleteObjects, reportObjectKeys } from './storage/index.js';
+import {
+  OPEN_STATUSES,
+  canTransition,
+  transitionError,
+  applyTransition
+} from './reportLifecycle.js';
+
+/**
+ * Bulk admin actions. Each one works through the selected reports one by
+ * one, collecting a result per report ({ id, ok, error? }) instead of
+ * stopping at the first failure. Caches are invalidated once at the end
+ * and notifications are grouped per recipient, so each person gets a
+ * single digest email however many of their reports were touched.
+ */
+
+// Upper bound on reports per bulk request
+export const MAX_BULK_ITEMS = parseInt(process.env.BULK_MAX_ITEMS || '1000', 10);
+
+export class BulkSelectionError extends Error {}
+
+/**
+ * The reports a bulk action applies to: explicit `ids` (in that order;
+ * unknown ones are returned as `missing`) or every report matching
+ * `filter`. Throws BulkSelectionError when the filter matches too many.
+ */
+export async function selectReports({ ids, filter }) {
+  if (ids) {
+    const found = new Map(
+      (await Report.find({ _id: { $in: ids } })).map(r => [r._id.toString(), r])
+    );
+    return {
+      reports: ids.filter(id => found.has(id)).map(id => found.get(id)),
+      missing: ids.filter(id => !found.has(id))
+    };
+  }
+
+  const count = await Report.countDocuments(filter);
+  if (count > MAX_BULK_ITEMS) {
+    throw new BulkSelectionError(
+      `Filter matches ${count} reports; narrow it down to at most ${MAX_BULK_ITEMS}`
+    );
+  }
+  return { reports: await Report.find(filter).sort({ createdAt: 1 }), missing: [] };
+}
+
+const notFound = ids => ids.map(id => ({ id, ok: false, error: 'Report not found' }));
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item).toString();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+// Run `action` per report, turning thrown errors into failed results
+async function eachReport(reports, action) {
+  const results = [];
+  const done = [];
+  for (const report of reports) {
+    const id = report._id.toString();
+    try {
+      const outcome = await action(report);
+      if (outcome.error) {
+        results.push({ id, ok: false, error: outcome.error });
+      } else {
+        results.push({ id, ok: true, ...outcome });
+        done.push(report);
+      }
+    } catch (err) {
+      console.error(`Bulk action failed for report ${id}:`, err);
+      results.push({ id, ok: false, error: 'Server error' });
+    }
+  }
+  return { results, done };
+}
+
+/**
+ * Move every selected report to `status` (same rules as the single
+ * status endpoint; Rejected needs rejectReason, shared by all). The
+ * caller validates note and rejectReason once, before the first report.
+ */
+export async function bulkChangeStatus({ reports, missing = [], status, rejectReason, note, actor }) {
+  const { results, done } = await eachReport(reports, async report => {
+    const from = report.status;
+    if (!canTransition(from, status, 'admin')) {
+      return { error: transitionError(from, status, 'admin').msg };
+    }
+    await applyTransition(report, status, {
+      actor,
+      note: note || (status === 'Rejected' ? rejectReason : undefined),
+      rejectReason,
+      invalidateCache: false
+    });
+    return { from, to: status };
+  });
+
+  if (done.length) await invalidateReportCaches();
+
+  for (const [userId, owned] of groupBy(done, r => r.user)) {
+    const items = owned.map(r => ({
+      title:   `Your ${r.issueType} report is now ${status}`,
+      message: status === 'Rejected' ? `Reason: ${r.rejectReason}` : undefined,
+      report:  r._id
+    }));
+    const emailData = owned.map(r => ({
+      reportId:     r._id.toString(),
+      issueType:    r.issueType,
+      description:  r.description,
+      status,
+      rejectReason: r.rejectReason
+    }));
+    const email = owned.length === 1
+      ? { template: 'reportStatusChanged', data: emailData[0] }
+      : { template: 'reportsStatusChanged', data: { reports: emailData } };
+    notifyBatch({ userId, type: 'report:statusChanged', items, email });
+  }
+
+  return [...results, ...notFound(missing)];
+}
+
+/**
+ * Assign every selected open report to `assignee` (a crew member or admin).
+ */
+export async function bulkAssign({ reports, missing = [], assignee }) {
+  const { results, done } = await eachReport(reports, async report => {
+    if (!OPEN_STATUSES.includes(report.status)) {
+      return { error: `Cannot assign a report that is ${report.status}` };
+    }
+    report.assignee = assignee._id;
+    report.assignedAt = Date.now();
+    await report.save();
+    return {};
+  });
+
+  if (done.length) {
+    await invalidateReportCaches();
+
+    const emailData = done.map(r => ({
+      reportId:    r._id.toString(),
+      issueType:   r.issueType,
+      address:     r.address,
+      description: r.description
+    }));
+    notifyBatch({
+      userId: assignee._id,
+      type:   'report:assigned',
+      items:  done.map(r => ({
+        title:   `New assignment: ${r.issueType} report`,
+        message: r.address,
+        report:  r._id
+      })),
+      email: done.length === 1
+        ? { template: 'reportAssigned', data: emailData[0] }
+        : { template: 'reportsAssigned', data: { reports: emailData } }
+    });
+  }
+
+  return [...results, ...notFound(missing)];
+}
+
+/**
+ * Delete every selected report together with its upvotes, comments,
+ * status history and stored images. notifyOwners: false skips telling
+ * the reporters (used when they are deleting their own account).
+ */
+export async function bulkDelete({ reports, missing = [], notifyOwners = true }) {
+  const { results, done } = await eachReport(reports, async report => {
+    await report.deleteOne();
+    return {};
+  });
+
+  if (done.length) {
+    const ids = done.map(r => r._id);
+    await Promise.all([
+      Upvote.deleteMany({ report: { $in: ids } }),
+      Comment.deleteMany({ report: { $in: ids } }),
+      StatusHistory.deleteMany({ report: { $in: ids } })
+    ]);
+    await deleteObjects(done.flatMap(reportObjectKeys));
+    await invalidateReportCaches();
+  }
+
+  for (const [userId, owned] of groupBy(notifyOwners ? done : [], r => r.user)) {
+    notifyBatch({
+      userId,
+      type:  'report:deleted',
+      items: owned.map(r => ({
+        title:   'Your report was deleted',
+        message: `Your ${r.issueType} report has been deleted.`,
+        report:  r._id
+      })),
+      email: owned.length === 1
+        ? { template: 'reportDeleted' }
+        : {
+          template: 'reportsDeleted',
+          data: { reports: owned.map(r => ({ reportId: r._id.toString(), issueType: r.issueType })) }
+        }
+    });
+  }
+
+  return [...results, ...notFound(missing)];
+}
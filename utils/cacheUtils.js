@@ -1,12 +1,93 @@
 import redisClient from './redisClient.js';
 
-// Delete all report cache keys for a given user
-export async function invalidateUserReportCache(userId) {
-  const types = ['all', 'Pothole', 'Streetlight', 'Graffiti', 'Other'];
-  const keys = types.map(type => `reports:all:${type}:user:${userId}`);
-  keys.push(`reports:all:all:user:${userId}`);
-  await Promise.all(keys.map(key => {
-    console.log("deleting cache")
-    redisClient.del(key)
-}));
+/**
+ * Tag-versioned Redis cache.
+ *
+ * Every cached value is stored under its key plus the current version of
+ * each tag it depends on. Invalidating a tag bumps its version, so every
+ * key built on it - for every user - stops matching at once; the orphaned
+ * entries simply expire. Nothing has to enumerate or delete keys.
+ *
+ * Tags in use:
+ *  - 'reports':    any report, upvote, comment or status write
+ *  - 'categories': category create/update/delete
+ *
+ * Hit/miss counters are kept per key namespace (the part before the first
+ * ':') in the Redis hash `cache:stats`, so they cover every instance.
+ */
+export const TAGS = {
+  reports:    'reports',
+  categories: 'categories'
+};
+
+const DEFAULT_TTL_SECONDS = 300;
+const STATS_KEY = 'cache:stats';
+
+const tagKey = tag => `cache:tag:${tag}`;
+const namespaceOf = key => key.split(':')[0];
+
+async function versionedKey(key, tags) {
+  if (!tags.length) return key;
+  const versions = await redisClient.mGet(tags.map(tagKey));
+  return `${key}|${tags.map((t, i) => `${t}@${versions[i] || 0}`).join(',')}`;
+}
+
+/**
+ * Return the cached value for `key`, or run `load()`, cache its result
+ * and return it.
+ *
+ * Usage:
+ *   const stats = await cached({ key: 'admin:dashboard', tags: [TAGS.reports] }, computeStats);
+ */
+export async function cached({ key, tags = [], ttl = DEFAULT_TTL_SECONDS }, load) {
+  const fullKey = await versionedKey(key, tags);
+  const ns = namespaceOf(key);
+
+  const hit = await redisClient.get(fullKey);
+  if (hit !== null) {
+    await redisClient.hIncrBy(STATS_KEY, `${ns}:hits`, 1);
+    return JSON.parse(hit);
+  }
+
+  await redisClient.hIncrBy(STATS_KEY, `${ns}:misses`, 1);
+  const value = await load();
+  await redisClient.setEx(fullKey, ttl, JSON.stringify(value));
+  return value;
+}
+
+/**
+ * Invalidate everything cached under the given tags.
+ */
+export async function invalidateTags(...tags) {
+  await Promise.all(tags.map(tag => redisClient.incr(tagKey(tag))));
+}
+
+/**
+ * Shorthand for the common case: a report, upvote, comment or status changed.
+ * Drops every cached report list (all users) and the admin dashboard.
+ */
+export function invalidateReportCaches() {
+  return invalidateTags(TAGS.reports);
+}
+
+/**
+ * Hit/miss counters per namespace, with hit ratio.
+ */
+export async function getCacheStats() {
+  const raw = await redisClient.hGetAll(STATS_KEY);
+  const stats = {};
+  for (const [field, value] of Object.entries(raw)) {
+    const [ns, kind] = field.split(':');
+    stats[ns] = stats[ns] || { hits: 0, misses: 0 };
+    stats[ns][kind] = parseInt(value, 10);
+  }
+  for (const s of Object.values(stats)) {
+    const total = s.hits + s.misses;
+    s.hitRatio = total ? Number((s.hits / total).toFixed(3)) : 0;
+  }
+  return stats;
+}
+
+export async function resetCacheStats() {
+  await redisClient.del(STATS_KEY);
 }
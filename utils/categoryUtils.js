@@ -0,0 +1,59 @@
+import Category from '../models/Category.js';
+import { cached, invalidateTags, TAGS } from './cacheUtils.js';
+
+// Seeded on first start so existing reports keep a matching category
+const DEFAULT_CATEGORIES = [
+  { name: 'Pothole',     icon: 'pothole' },
+  { name: 'Streetlight', icon: 'streetlight' },
+  { name: 'Graffiti',    icon: 'graffiti' },
+  { name: 'Other',       icon: 'other' }
+];
+
+/**
+ * Insert the default categories if the collection is empty.
+ */
+export async function ensureDefaultCategories() {
+  if (await Category.estimatedDocumentCount() > 0) return;
+  await Category.insertMany(DEFAULT_CATEGORIES);
+  await invalidateCategoryCache();
+}
+
+/**
+ * All categories (active and inactive), sorted by name. Cached until an
+ * admin changes them.
+ */
+export function getCategories() {
+  return cached(
+    { key: 'categories:list', tags: [TAGS.categories], ttl: 24 * 60 * 60 },
+    () => Category.find().sort({ name: 1 }).lean()
+  );
+}
+
+/**
+ * Category names; pass { activeOnly: true } for the ones new reports may use.
+ */
+export async function getCategoryNames({ activeOnly = false } = {}) {
+  const categories = await getCategories();
+  return categories
+    .filter(c => !activeOnly || c.active)
+    .map(c => c.name);
+}
+
+export function invalidateCategoryCache() {
+  return invalidateTags(TAGS.categories);
+}
+
+// express-validator custom validators
+export async function isActiveCategory(value) {
+  if (!(await getCategoryNames({ activeOnly: true })).includes(value)) {
+    throw new Error('Unknown or inactive issue type');
+  }
+  return true;
+}
+
+export async function isCategoryFilter(value) {
+  if (value !== 'all' && !(await getCategoryNames()).includes(value)) {
+    throw new Error('Unknown issue type');
+  }
+  return true;
+}
@@ -0,0 +1,40 @@
+import fs from 'fs';
+
+/**
+ * Word-list filter for new and edited comments. Comments containing a
+ * listed word are held for admin review instead of being published.
+ *
+ * The list comes from COMMENT_BLOCKLIST (comma-separated) and/or
+ * COMMENT_BLOCKLIST_FILE (one word or phrase per line, # for comments).
+ * Matching is case-insensitive on whole words. It is read once at
+ * startup; restart to pick up changes.
+ */
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function loadWords() {
+  const words = (process.env.COMMENT_BLOCKLIST || '').split(',');
+  const file = process.env.COMMENT_BLOCKLIST_FILE;
+  if (file) {
+    try {
+      words.push(...fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(l => !l.startsWith('#')));
+    } catch (err) {
+      console.error(`Could not read comment word list ${file}:`, err.message);
+    }
+  }
+  return [...new Set(words.map(w => w.trim().toLowerCase()).filter(Boolean))];
+}
+
+const words = loadWords();
+const patterns = words.map(word => ({
+  word,
+  // \b does not work next to non-word characters, so use explicit lookarounds
+  pattern: new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(word)}(?![\\p{L}\\p{N}_])`, 'iu')
+}));
+
+/**
+ * Listed words found in `text` (empty when the comment may be published).
+ */
+export function blockedWords(text) {
+  return patterns.filter(p => p.pattern.test(text)).map(p => p.word);
+}
@@ -0,0 +1,209 @@
+import Comment, { VISIBLE_COMMENTS } from '../models/Comment.js';
+import notify from './notify.js';
+
+// Moderation fields only admins get to see
+const PUBLIC_FIELDS = '-flags -heldFor -moderatedBy -moderationNote';
+
+/**
+ * One page of a report's comments as a tree. Pagination is over top-level
+ * comments (pinned first, then newest); each comes with all of its
+ * replies nested under `replies`, oldest first. Replies under a comment
+ * that is hidden or deleted are not shown. A comment its author deleted
+ * while it had replies is listed without text or author. `userId` also
+ * sees their own comments that are held for review.
+ */
+export async function listCommentThreads({ reportId, userId, page = 1, limit = 20 }) {
+  const visible = { $or: [VISIBLE_COMMENTS, { user: userId, status: 'held' }] };
+  const rootFilter = { report: reportId, parent: null, ...visible };
+
+  const [total, roots] = await Promise.all([
+    Comment.countDocuments(rootFilter),
+    Comment.find(rootFilter)
+      .select(PUBLIC_FIELDS)
+      .sort({ pinned: -1, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('user', 'name')
+      .lean()
+  ]);
+  const replies = roots.length
+    ? await Comment.find({ thread: { $in: roots.map(r => r._id) }, ...visible })
+      .select(PUBLIC_FIELDS)
+      .sort({ createdAt: 1 })
+      .populate('user', 'name')
+      .lean()
+    : [];
+
+  const nodes = new Map([...roots, ...replies].map(c => [
+    c._id.toString(),
+    { ...c, user: c.deletedAt ? null : c.user, replies: [] }
+  ]));
+  for (const reply of replies) {
+    const parent = nodes.get(reply.parent.toString());
+    if (parent) parent.replies.push(nodes.get(reply._id.toString()));
+  }
+
+  return {
+    total,
+    page,
+    limit,
+    comments: roots.map(r => nodes.get(r._id.toString()))
+  };
+}
+
+const isVisible = c => c.status === 'published' || c.status == null;
+
+/**
+ * Of `comments` (lean, with _id, parent and status), the ids of the ones
+ * listCommentThreads shows everyone: visible themselves and below visible
+ * comments only. `comments` must include every ancestor of each one.
+ */
+export function shownCommentIds(comments) {
+  const byId = new Map(comments.map(c => [c._id.toString(), c]));
+  const shown = new Map();
+  const isShown = c => {
+    const id = c._id.toString();
+    if (!shown.has(id)) {
+      const parent = c.parent && byId.get(c.parent.toString());
+      shown.set(id, isVisible(c) && (!c.parent || Boolean(parent && isShown(parent))));
+    }
+    return shown.get(id);
+  };
+  comments.forEach(isShown);
+  return new Set([...shown].filter(([, ok]) => ok).map(([id]) => id));
+}
+
+/**
+ * Shown comments per report (Map of report id -> count), so counts agree
+ * with the listing: replies under a hidden or held comment do not count.
+ */
+export async function shownCommentCounts(reportIds) {
+  const comments = await Comment.find({ report: { $in: reportIds } })
+    .select('report parent status')
+    .lean();
+  const shown = shownCommentIds(comments);
+  const counts = new Map();
+  for (const c of comments) {
+    if (!shown.has(c._id.toString())) continue;
+    const id = c.report.toString();
+    counts.set(id, (counts.get(id) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Ids of a comment and every reply beneath it.
+ */
+export async function subtreeIds(comment) {
+  const threadId = comment.thread || comment._id;
+  const members = await Comment.find({ thread: threadId }).select('parent').lean();
+
+  const children = new Map();
+  for (const m of members) {
+    const key = m.parent.toString();
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(m._id);
+  }
+
+  const ids = [comment._id];
+  for (let i = 0; i < ids.length; i++) {
+    ids.push(...(children.get(ids[i].toString()) || []));
+  }
+  return ids;
+}
+
+/**
+ * Delete a comment together with its replies. Returns how many went.
+ * For moderators; authors deleting their own comment use deleteOwnComment.
+ */
+export async function deleteWithReplies(comment) {
+  const ids = await subtreeIds(comment);
+  await Comment.deleteMany({ _id: { $in: ids } });
+  return ids.length;
+}
+
+/**
+ * Delete a comment for its author without taking other people's replies
+ * with it: a comment with replies is emptied and marked deletedAt, and
+ * one without is removed along with any placeholders above it that no
+ * longer have replies either. Returns how many comments were removed
+ * (0 when the comment was kept as a placeholder).
+ */
+export async function deleteOwnComment(comment) {
+  if (await Comment.exists({ parent: comment._id })) {
+    comment.text = undefined;
+    comment.deletedAt = Date.now();
+    await comment.save();
+    return 0;
+  }
+
+  await comment.deleteOne();
+  let removed = 1;
+  let parentId = comment.parent;
+  while (parentId) {
+    const parent = await Comment.findOne({ _id: parentId, deletedAt: { $ne: null } }).select('parent');
+    if (!parent || await Comment.exists({ parent: parent._id })) break;
+    await parent.deleteOne();
+    removed++;
+    parentId = parent.parent;
+  }
+  return removed;
+}
+
+/**
+ * Tell the parent comment's author about a reply, and the report owner
+ * about a reply or official response on their report. Nobody is told
+ * about their own comment, and nobody is told twice.
+ * Call once the comment is published. Never throws.
+ */
+export async function notifyCommentRecipients(comment, report) {
+  try {
+    const authorId = (comment.user._id || comment.user).toString();
+    const author = comment.user.name || 'Someone';
+    const ownerId = report.user.toString();
+    const notified = new Set([authorId]);
+
+    if (comment.parent) {
+      const parent = await Comment.findById(comment.parent).select('user');
+      const parentAuthor = parent && parent.user.toString();
+      if (parentAuthor && !notified.has(parentAuthor)) {
+        notified.add(parentAuthor);
+        notify({
+          userId:  parentAuthor,
+          type:    'comment:reply',
+          title:   `${author} replied to your comment`,
+          message: comment.text,
+          report:  report._id,
+          email: {
+            template: 'commentReply',
+            data: { author, issueType: report.issueType, text: comment.text }
+          }
+        });
+      }
+    }
+
+    if ((comment.parent || comment.official) && !notified.has(ownerId)) {
+      notify({
+        userId:  ownerId,
+        type:    'report:commented',
+        title:   comment.official
+          ? `Official response on your ${report.issueType} report`
+          : `New reply on your ${report.issueType} report`,
+        message: comment.text,
+        report:  report._id,
+        email: {
+          template: 'reportCommented',
+          data: {
+            author,
+            issueType: report.issueType,
+            reportId:  report._id.toString(),
+            text:      comment.text,
+            official:  comment.official
+          }
+        }
+      });
+    }
+  } catch (err) {
+    console.error('Error notifying about comment:', err);
+  }
+}
@@ -0,0 +1,75 @@
+import Report from '../models/Report.js';
+import Upvote from '../models/Upvote.js';
+import Comment from '../models/Comment.js';
+import { OPEN_STATUSES, applyTransition } from './reportLifecycle.js';
+import { recountReport } from './reportCounters.js';
+
+// Radius (metres) and time window (days) used to flag likely duplicates
+const DUPLICATE_RADIUS_METERS = parseFloat(process.env.DUPLICATE_RADIUS_METERS) || 50;
+const DUPLICATE_WINDOW_DAYS   = parseFloat(process.env.DUPLICATE_WINDOW_DAYS) || 14;
+
+/**
+ * Find open reports of the same issue type close to the given point
+ * that were filed within the duplicate window. Nearest first.
+ */
+export async function findPossibleDuplicates({ issueType, latitude, longitude, excludeId, limit = 5 }) {
+  const since = new Date(Date.now() - DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const filter = {
+    issueType,
+    status:    { $in: OPEN_STATUSES },
+    createdAt: { $gte: since },
+    location: {
+      $near: {
+        $geometry:    { type: 'Point', coordinates: [parseFloat(longitude), parseFloat(latitude)] },
+        $maxDistance: DUPLICATE_RADIUS_METERS
+      }
+    }
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  return Report.find(filter)
+    .populate('user', 'name')
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * Fold a duplicate report into its canonical report:
+ *  - upvotes move across (skipping users who already upvoted the canonical one)
+ *  - the duplicate's reporter gets a "me too" upvote on the canonical report
+ *  - comments and images move across
+ *  - the duplicate is marked Merged and points at the canonical report
+ * `actor` is the admin performing the merge, recorded in the status history.
+ */
+export async function mergeReports(canonical, duplicate, actor) {
+  // Upvotes: unique (user, report) index means overlapping voters must be dropped
+  const canonicalVoters = await Upvote.find({ report: canonical._id }).distinct('user');
+  await Upvote.deleteMany({ report: duplicate._id, user: { $in: canonicalVoters } });
+  await Upvote.updateMany({ report: duplicate._id }, { $set: { report: canonical._id } });
+
+  if (duplicate.user.toString() !== canonical.user.toString()) {
+    await Upvote.updateOne(
+      { user: duplicate.user, report: canonical._id },
+      { $setOnInsert: { user: duplicate.user, report: canonical._id } },
+      { upsert: true }
+    );
+  }
+
+  await Comment.updateMany({ report: duplicate._id }, { $set: { report: canonical._id } });
+
+  canonical.imageUrls = [...canonical.imageUrls, ...duplicate.imageUrls];
+  canonical.images    = [...canonical.images, ...duplicate.images];
+  await canonical.save();
+
+  duplicate.imageUrls  = [];
+  duplicate.images     = [];
+  duplicate.mergedInto = canonical._id;
+  await applyTransition(duplicate, 'Merged', {
+    actor,
+    note: `Merged into report ${canonical._id}`
+  });
+
+  await Promise.all([recountReport(canonical._id), recountReport(duplicate._id)]);
+
+  return { canonical, duplicate };
+}
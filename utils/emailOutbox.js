@@ -0,0 +1,111 @@
+import OutboxEmail from '../models/OutboxEmail.js';
+import renderTemplate from './emailTemplates.js';
+import sendEmail from './sendEmail.js';
+
+const MAX_ATTEMPTS      = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+const BASE_BACKOFF_MS   = parseInt(process.env.EMAIL_BACKOFF_MS, 10) || 30 * 1000;
+const POLL_INTERVAL_MS  = parseInt(process.env.EMAIL_POLL_INTERVAL_MS, 10) || 5 * 1000;
+const LOCK_MS           = 2 * 60 * 1000;
+const BATCH_SIZE        = 20;
+
+/**
+ * Render a template and persist it for the worker to send.
+ * Returns the outbox document; delivery happens in the background.
+ */
+export function queueEmail({ to, template, data }) {
+  const { subject, html, text } = renderTemplate(template, data);
+  return OutboxEmail.create({ to, template, subject, html, text });
+}
+
+/**
+ * Atomically claim the next due email, so several API instances can run
+ * workers side by side. Emails stuck in "sending" past their lock (a
+ * worker died mid-send) are claimed again.
+ */
+function claimNext() {
+  const now = new Date();
+  return OutboxEmail.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Try to deliver one claimed email, recording success, a retry with
+ * exponential backoff, or dead-letter status after MAX_ATTEMPTS.
+ */
+export async function deliver(email) {
+  email.attempts += 1;
+  try {
+    email.messageId = await sendEmail({
+      to: email.to, subject: email.subject, html: email.html, text: email.text
+    });
+    email.status = 'sent';
+    email.sentAt = new Date();
+    email.lastError = undefined;
+  } catch (err) {
+    email.lastError = err.message;
+    if (email.attempts >= MAX_ATTEMPTS) {
+      email.status = 'dead';
+      console.error(`📧 Email ${email._id} dead-lettered after ${email.attempts} attempts:`, err.message);
+    } else {
+      email.status = 'pending';
+      email.nextAttemptAt = new Date(Date.now() + BASE_BACKOFF_MS * 2 ** (email.attempts - 1));
+    }
+  }
+  email.lockedUntil = undefined;
+  await email.save();
+  return email;
+}
+
+/**
+ * Send up to BATCH_SIZE due emails. Returns how many were processed.
+ */
+export async function processOutbox() {
+  let processed = 0;
+  for (; processed < BATCH_SIZE; processed++) {
+    const email = await claimNext();
+    if (!email) break;
+    await deliver(email);
+  }
+  return processed;
+}
+
+/**
+ * Put a dead (or sent) email back in the queue for another round of attempts.
+ */
+export async function requeue(email) {
+  email.status = 'pending';
+  email.attempts = 0;
+  email.nextAttemptAt = new Date();
+  email.lastError = undefined;
+  email.lockedUntil = undefined;
+  await email.save();
+  return email;
+}
+
+/**
+ * Poll the outbox in the background. Returns a function that stops it.
+ */
+export function startEmailWorker() {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processOutbox();
+    } catch (err) {
+      console.error('Email worker error:', err);
+    } finally {
+      running = false;
+    }
+  }, POLL_INTERVAL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
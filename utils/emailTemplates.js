@@ -0,0 +1,227 @@
+import { escapeHtml } from './html.js';
+
+/**
+ * Named email templates. Each takes a data object and returns
+ * { subject, html, text }. Every value interpolated into HTML goes
+ * through escapeHtml, so user-entered text (names, descriptions,
+ * reasons) can never inject markup.
+ */
+
+// Tagged template: escapes every ${} value
+function html(strings, ...values) {
+  return strings.reduce((out, str, i) =>
+    out + str + (i < values.length ? escapeHtml(values[i]) : ''), '');
+}
+
+// Wraps an already-escaped body
+function layout(body) {
+  return `<div style="font-family: Arial, sans-serif; line-height: 1.5;">${body}</div>`;
+}
+
+const SIGN_OFF_HTML = '<p>Thank you for helping keep our streets safe.</p>';
+const SIGN_OFF_TEXT = 'Thank you for helping keep our streets safe.';
+
+// Digest emails list several reports; `line` renders one as plain text
+function reportList(reports, line) {
+  return {
+    html: `<ul>${reports.map(r => `<li>${escapeHtml(line(r))}</li>`).join('')}</ul>`,
+    text: reports.map(r => `- ${line(r)}`).join('\n')
+  };
+}
+
+const statusLine = r => `${r.issueType} (ID: ${r.reportId}): ${r.status}`
+  + (r.rejectReason ? ` - ${r.rejectReason}` : '');
+const assignedLine = r => `${r.issueType} (ID: ${r.reportId})${r.address ? ` at ${r.address}` : ''}`;
+const deletedLine = r => `${r.issueType} (ID: ${r.reportId})`;
+
+const templates = {
+  verifyEmail: ({ name, verifyURL }) => ({
+    subject: 'Verify Your Email',
+    html: layout(html`
+      <h1>Email Verification</h1>
+      <p>Hi ${name},</p>
+      <p>Please <a href="${verifyURL}" target="_blank" rel="noopener noreferrer">click here</a> to verify your email address.</p>
+      <p>If that doesn’t work, copy and paste this URL into your browser:</p>
+      <p><a href="${verifyURL}" target="_blank" rel="noopener noreferrer">${verifyURL}</a></p>
+      <p>This link will expire in 24 hours.</p>
+    `),
+    text: `Hi ${name},\n\nPlease verify your email by visiting:\n\n${verifyURL}\n\nThis link expires in 24 hours.`
+  }),
+
+  resendVerification: ({ verifyURL }) => ({
+    subject: 'Resend Verification',
+    html: layout(html`
+      <h1>Verify Your Email (Again)</h1>
+      <p>Please <a href="${verifyURL}" target="_blank" rel="noopener noreferrer">click here</a> to verify your email address.</p>
+      <p>Or copy & paste this URL into your browser:</p>
+      <p><a href="${verifyURL}" target="_blank" rel="noopener noreferrer">${verifyURL}</a></p>
+    `),
+    text: `Please verify your email by visiting:\n\n${verifyURL}`
+  }),
+
+  passwordReset: ({ name, resetURL }) => ({
+    subject: 'Password Reset Request',
+    html: layout(html`
+      <h1>Password Reset</h1>
+      <p>Hi ${name},</p>
+      <p>You requested a password reset. <a href="${resetURL}" target="_blank" rel="noopener noreferrer">Click here</a> to set a new password.</p>
+      <p>If that doesn’t work, paste this into your browser:</p>
+      <p>${resetURL}</p>
+      <p>This link expires in 1 hour.</p>
+    `),
+    text: `Hi ${name},\n\nReset your password by visiting:\n\n${resetURL}\n\nThis link expires in 1 hour.`
+  }),
+
+  accountSuspended: ({ name, reason }) => ({
+    subject: 'Your account has been suspended',
+    html: layout(html`
+      <p>Hi ${name},</p>
+      <p>Your account has been suspended by an administrator and you have been signed out.</p>
+      <p><strong>Reason:</strong><br/>${reason}</p>
+      <p>If you think this is a mistake, please reply to this email.</p>
+    `),
+    text: `Hi ${name},\n\nYour account has been suspended by an administrator and you have been signed out.\n\n`
+      + `Reason:\n${reason}\n\nIf you think this is a mistake, please reply to this email.`
+  }),
+
+  accountRestored: ({ name }) => ({
+    subject: 'Your account has been restored',
+    html: layout(html`<p>Hi ${name},</p><p>Your account is active again. You can log in as usual.</p>`),
+    text: `Hi ${name},\n\nYour account is active again. You can log in as usual.`
+  }),
+
+  reportReceived: ({ name, issueType, description, location }) => ({
+    subject: 'Report received',
+    html: layout(html`
+      <h2>Thanks for your report!</h2>
+      <p>Hi ${name},</p>
+      <p>We received your <strong>${issueType}</strong> report:</p>
+      <ul>
+        <li>${description}</li>
+        <li>Location: ${location}</li>
+      </ul>
+    `),
+    text: `Hi ${name},\n\nWe received your ${issueType} report:\n\n${description}\nLocation: ${location}`
+  }),
+
+  reportUpdated: ({ name }) => ({
+    subject: 'Your report was updated',
+    html: layout(html`<p>Hi ${name}, your report has been updated.</p>`),
+    text: `Hi ${name}, your report has been updated.`
+  }),
+
+  reportDeleted: ({ name }) => ({
+    subject: 'Your report was deleted',
+    html: layout(html`<p>Hi ${name}, your report has been deleted.</p>`),
+    text: `Hi ${name}, your report has been deleted.`
+  }),
+
+  reportStatusChanged: ({ name, reportId, issueType, description, status, rejectReason }) => ({
+    subject: `Update on your "${issueType}" report`,
+    html: layout(html`
+      <p>Hi ${name},</p>
+      <p>Your report <strong>${issueType}</strong> (ID: <code>${reportId}</code>) has been updated to <strong>${status}</strong>.</p>
+      <p><strong>Description:</strong><br/>${description}</p>
+    ` + (rejectReason
+      ? html`<p><strong>Rejection reason:</strong><br/>${rejectReason}</p>`
+      : '') + SIGN_OFF_HTML),
+    text: `Hi ${name},\n\nYour ${issueType} report (ID: ${reportId}) has been updated to ${status}.\n\n`
+      + `Description:\n${description}\n\n`
+      + (rejectReason ? `Rejection reason:\n${rejectReason}\n\n` : '')
+      + SIGN_OFF_TEXT
+  }),
+
+  reportMerged: ({ name, reportId, canonicalId, issueType }) => ({
+    subject: `Your "${issueType}" report was merged`,
+    html: layout(html`
+      <p>Hi ${name},</p>
+      <p>Your report (ID: <code>${reportId}</code>) describes the same issue as an existing report
+      (ID: <code>${canonicalId}</code>), so we have merged them. Your report now counts as an upvote,
+      and its comments and photos have been carried over.</p>
+    ` + SIGN_OFF_HTML),
+    text: `Hi ${name},\n\nYour report (ID: ${reportId}) describes the same issue as an existing report `
+      + `(ID: ${canonicalId}), so we have merged them. Your report now counts as an upvote, `
+      + `and its comments and photos have been carried over.\n\n${SIGN_OFF_TEXT}`
+  }),
+
+  reportAssigned: ({ name, reportId, issueType, address, description }) => ({
+    subject: `New assignment: ${issueType} report`,
+    html: layout(html`
+      <p>Hi ${name},</p>
+      <p>You have been assigned a <strong>${issueType}</strong> report (ID: <code>${reportId}</code>).</p>
+      <p><strong>Location:</strong> ${address}</p>
+      <p><strong>Description:</strong><br/>${description}</p>
+      <p>You can find it in your assignment queue.</p>
+    `),
+    text: `Hi ${name},\n\nYou have been assigned a ${issueType} report (ID: ${reportId}).\n\n`
+      + `Location: ${address}\n\nDescription:\n${description}\n\nYou can find it in your assignment queue.`
+  }),
+
+  commentReply: ({ name, author, issueType, text }) => ({
+    subject: `${author} replied to your comment`,
+    html: layout(html`
+      <p>Hi ${name},</p>
+      <p><strong>${author}</strong> replied to your comment on a <strong>${issueType}</strong> report:</p>
+      <blockquote>${text}</blockquote>
+    `),
+    text: `Hi ${name},\n\n${author} replied to your comment on a ${issueType} report:\n\n${text}`
+  }),
+
+  reportCommented: ({ name, author, issueType, reportId, text, official }) => ({
+    subject: official
+      ? `Official response on your "${issueType}" report`
+      : `New reply on your "${issueType}" report`,
+    html: layout(html`
+      <p>Hi ${name},</p>
+      <p><strong>${author}</strong>${official ? ' (city staff)' : ''} commented on your report
+      <strong>${issueType}</strong> (ID: <code>${reportId}</code>):</p>
+      <blockquote>${text}</blockquote>
+    ` + SIGN_OFF_HTML),
+    text: `Hi ${name},\n\n${author}${official ? ' (city staff)' : ''} commented on your ${issueType} report `
+      + `(ID: ${reportId}):\n\n${text}\n\n${SIGN_OFF_TEXT}`
+  }),
+
+  // Digests sent by bulk admin actions: one email per recipient, not per report
+
+  reportsStatusChanged: ({ name, reports }) => {
+    const list = reportList(reports, statusLine);
+    return {
+      subject: `Updates on ${reports.length} of your reports`,
+      html: layout(html`<p>Hi ${name},</p><p>The following reports have been updated:</p>`
+        + list.html + SIGN_OFF_HTML),
+      text: `Hi ${name},\n\nThe following reports have been updated:\n\n${list.text}\n\n${SIGN_OFF_TEXT}`
+    };
+  },
+
+  reportsAssigned: ({ name, reports }) => {
+    const list = reportList(reports, assignedLine);
+    return {
+      subject: `${reports.length} new assignments`,
+      html: layout(html`<p>Hi ${name},</p><p>You have been assigned these reports:</p>`
+        + list.html + '<p>You can find them in your assignment queue.</p>'),
+      text: `Hi ${name},\n\nYou have been assigned these reports:\n\n${list.text}\n\n`
+        + 'You can find them in your assignment queue.'
+    };
+  },
+
+  reportsDeleted: ({ name, reports }) => {
+    const list = reportList(reports, deletedLine);
+    return {
+      subject: `${reports.length} of your reports were removed`,
+      html: layout(html`<p>Hi ${name},</p><p>The following reports have been removed by an administrator:</p>`
+        + list.html),
+      text: `Hi ${name},\n\nThe following reports have been removed by an administrator:\n\n${list.text}`
+    };
+  }
+};
+
+export const TEMPLATE_NAMES = Object.keys(templates);
+
+/**
+ * Render a named template. Throws on unknown names so typos fail loudly.
+ */
+export default function renderTemplate(name, data = {}) {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  return template(data);
+}
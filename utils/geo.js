@@ -0,0 +1,41 @@
+const EARTH_RADIUS_METERS = 6378100;
+
+/**
+ * Parse "minLng,minLat,maxLng,maxLat" into numbers (null if malformed).
+ */
+export function parseBbox(bbox) {
+  const parts = String(bbox).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) return null;
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) return null;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+/**
+ * $geoWithin condition for a parsed bounding box.
+ */
+export function withinBbox({ minLng, minLat, maxLng, maxLat }) {
+  return {
+    $geoWithin: {
+      $geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+        ]]
+      }
+    }
+  };
+}
+
+/**
+ * $geoWithin condition for a circle. Unlike $near this does not sort,
+ * so it can be combined with $text queries.
+ */
+export function withinRadius(lng, lat, radiusMeters) {
+  return {
+    $geoWithin: {
+      $centerSphere: [[parseFloat(lng), parseFloat(lat)], parseFloat(radiusMeters) / EARTH_RADIUS_METERS]
+    }
+  };
+}
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import storage, { deleteObjects } from './storage/index.js';
+
+const KEY_PREFIX = 'reports';
+
+// Formats we accept, judged by the file contents rather than the client's mimetype
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'tiff'];
+
+// Every upload is re-encoded as JPEG in these sizes (longest edge, never enlarged)
+export const IMAGE_VARIANTS = {
+  thumb:  320,
+  medium: 1024,
+  full:   2048
+};
+
+export class InvalidImageError extends Error {
+  constructor(message = 'File is not a valid image') {
+    super(message);
+    this.name = 'InvalidImageError';
+  }
+}
+
+/**
+ * Inspect the buffer and refuse anything sharp cannot decode as an allowed image.
+ */
+async function assertImage(buffer) {
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch {
+    throw new InvalidImageError();
+  }
+  if (!ALLOWED_FORMATS.includes(meta.format) || !meta.width || !meta.height) {
+    throw new InvalidImageError();
+  }
+}
+
+/**
+ * Turn one uploaded image into its stored variants.
+ * sharp drops EXIF/GPS/device metadata unless asked to keep it, and
+ * .rotate() applies the EXIF orientation before that metadata is gone.
+ *
+ * Returns { thumb, medium, full, width, height } where each size is a storage key.
+ */
+export async function processImage(buffer) {
+  await assertImage(buffer);
+
+  const id = crypto.randomUUID();
+  const image = {};
+  const written = [];
+  try {
+    for (const [variant, size] of Object.entries(IMAGE_VARIANTS)) {
+      const key = `${KEY_PREFIX}/${id}-${variant}.jpg`;
+      const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })   // JPEG has no alpha; transparency would turn black
+        .jpeg({ quality: 80, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+      await storage.put(key, data, 'image/jpeg');
+      written.push(key);
+      image[variant] = key;
+      if (variant === 'full') {
+        image.width  = info.width;
+        image.height = info.height;
+      }
+    }
+  } catch (err) {
+    await deleteObjects(written);
+    throw err;
+  }
+  return image;
+}
+
+/**
+ * Process every file multer held in memory. If any file fails, the
+ * variants already written for the others are removed.
+ */
+export async function processUploads(files = []) {
+  const images = [];
+  try {
+    for (const file of files) {
+      images.push(await processImage(file.buffer));
+    }
+  } catch (err) {
+    await removeImages(images);
+    throw err;
+  }
+  return images;
+}
+
+/**
+ * Delete all stored variants of the given images.
+ */
+export async function removeImages(images = []) {
+  await deleteObjects(images.flatMap(img => Object.keys(IMAGE_VARIANTS).map(v => img[v])));
+}
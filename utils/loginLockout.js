@@ -0,0 +1,45 @@
+import redisClient from './redisClient.js';
+
+// After every LOCK_THRESHOLD consecutive failures the account is locked,
+// and each further lock doubles in length (1m, 2m, 4m ... capped).
+const LOCK_THRESHOLD      = parseInt(process.env.LOGIN_LOCK_THRESHOLD, 10) || 5;
+const BASE_LOCK_SECONDS   = parseInt(process.env.LOGIN_LOCK_BASE_SECONDS, 10) || 60;
+const MAX_LOCK_SECONDS    = 24 * 60 * 60;
+const FAILURE_MEMORY_SECS = 24 * 60 * 60;   // failures are forgotten after a quiet day
+
+const failKey = email => `auth:fail:${email}`;
+const lockKey = email => `auth:lock:${email}`;
+
+const normalize = email => String(email).trim().toLowerCase();
+
+/**
+ * Seconds left on an account lock, or 0 if the account may try to log in.
+ */
+export async function lockRemaining(email) {
+  const ttl = await redisClient.ttl(lockKey(normalize(email)));
+  return ttl > 0 ? ttl : 0;
+}
+
+/**
+ * Count a failed login. Returns the lock length in seconds if this failure
+ * triggered a lock, otherwise 0.
+ */
+export async function registerFailure(email) {
+  const key = failKey(normalize(email));
+  const failures = await redisClient.incr(key);
+  await redisClient.expire(key, FAILURE_MEMORY_SECS);
+
+  if (failures % LOCK_THRESHOLD !== 0) return 0;
+
+  const step = failures / LOCK_THRESHOLD - 1;
+  const seconds = Math.min(BASE_LOCK_SECONDS * 2 ** step, MAX_LOCK_SECONDS);
+  await redisClient.setEx(lockKey(normalize(email)), seconds, '1');
+  return seconds;
+}
+
+/**
+ * Forget failures after a successful login (or a password reset).
+ */
+export async function clearFailures(email) {
+  await redisClient.del([failKey(normalize(email)), lockKey(normalize(email))]);
+}
@@ -0,0 +1,89 @@
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import User from '../models/User.js';
+import { queueEmail } from './emailOutbox.js';
+
+const DEFAULT_CHANNELS = { inApp: true, email: true };
+
+/**
+ * A user's effective channel choices for every notification type.
+ */
+export function resolvePreferences(user) {
+  const stored = user.notificationPreferences || new Map();
+  return Object.fromEntries(NOTIFICATION_TYPES.map(type => {
+    const pref = stored.get ? stored.get(type) : stored[type];
+    return [type, {
+      inApp: pref && pref.inApp !== undefined ? pref.inApp : DEFAULT_CHANNELS.inApp,
+      email: pref && pref.email !== undefined ? pref.email : DEFAULT_CHANNELS.email
+    }];
+  }));
+}
+
+// Shorten in-app text to the Notification schema's maxlength, so a long
+// reason or address cannot fail validation of the whole batch
+function fit(field, text) {
+  const max = Notification.schema.path(field).options.maxlength;
+  return text && text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Single entry point for user-facing report notifications. Stores an
+ * in-app notification and/or queues an email, as the recipient's
+ * preferences for `type` allow.
+ *
+ *  - userId:  recipient
+ *  - type:    one of NOTIFICATION_TYPES
+ *  - title, message: in-app text
+ *  - report:  related report id
+ *  - email:   { template, data } for utils/emailTemplates.js; the recipient's
+ *             name is added to data as `name`
+ *
+ * Never throws: failures are logged so callers can fire and forget.
+ * (Account emails such as verification and password reset are not
+ * optional and do not go through here.)
+ */
+export default async function notify({ userId, type, title, message, report, email }) {
+  return notifyBatch({ userId, type, items: [{ title, message, report }], email });
+}
+
+/**
+ * Like notify, for several reports at once: one in-app notification per
+ * item but a single (digest) email. Used by bulk admin actions so a
+ * reporter with 50 affected reports gets one email, not 50.
+ *
+ *  - items: [{ title, message, report }]
+ */
+export async function notifyBatch({ userId, type, items, email }) {
+  let user;
+  try {
+    user = await User.findById(userId).select('name email notificationPreferences');
+  } catch (err) {
+    console.error(`Error dispatching ${type} notification:`, err);
+    return;
+  }
+  if (!user || !items.length) return;
+
+  const channels = resolvePreferences(user)[type];
+
+  // Each channel is tried on its own: a failed insert must not cost the email
+  if (channels.inApp) {
+    try {
+      await Notification.insertMany(items.map(({ title, message, report }) => ({
+        user: user._id, type, title: fit('title', title), message: fit('message', message), report
+      })));
+    } catch (err) {
+      console.error(`Error storing ${type} notification:`, err);
+    }
+  }
+
+  if (channels.email && email) {
+    try {
+      await queueEmail({
+        to:       user.email,
+        template: email.template,
+        data:     { name: user.name, ...email.data }
+      });
+    } catch (err) {
+      console.error(`Error queueing ${type} email:`, err);
+    }
+  }
+}
@@ -0,0 +1,115 @@
+import { OPEN_STATUSES } from './reportStatuses.js';
+import { escapeHtml } from './html.js';
+
+/**
+ * Mapping between our reports/categories and Open311 GeoReport v2
+ * (http://wiki.open311.org/GeoReport_v2/), plus its XML encoding.
+ *
+ *  - A service is an active category; its service_code is the category id,
+ *    so codes survive renames.
+ *  - A service request is a report. Open311 only knows "open" and
+ *    "closed": open statuses map to open, everything else to closed.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const OPEN311_FORMATS = ['json', 'xml'];
+
+// Our statuses for each Open311 status
+export function statusesFor(open311Status) {
+  return open311Status === 'open'
+    ? OPEN_STATUSES
+    : ['Fixed', 'Rejected', 'Closed', 'Merged'];
+}
+
+export function toService(category) {
+  return {
+    service_code: category._id.toString(),
+    service_name: category.name,
+    description:  `Report a ${category.name.toLowerCase()} issue`,
+    metadata:     false,
+    type:         'realtime',
+    keywords:     '',
+    group:        ''
+  };
+}
+
+function statusNotes(report) {
+  if (report.status === 'Rejected') return report.rejectReason || 'Rejected';
+  if (report.status === 'Merged' && report.mergedInto) {
+    return `Duplicate of request ${report.mergedInto}`;
+  }
+  return report.status;
+}
+
+/**
+ * A report (with image keys already resolved to URLs) as an Open311
+ * service request. `category` is the report's category, if it still exists.
+ * Relative image URLs (local storage) are resolved against `baseUrl`,
+ * since Open311 clients fetch media_url from outside the app.
+ */
+export function toServiceRequest(report, category, baseUrl) {
+  const media = report.images?.[0]?.full || report.imageUrls?.[0];
+  const [long, lat] = report.location.coordinates;
+  const created = new Date(report.createdAt);
+  return {
+    service_request_id: report._id.toString(),
+    status:             OPEN_STATUSES.includes(report.status) ? 'open' : 'closed',
+    status_notes:       statusNotes(report),
+    service_name:       report.issueType,
+    service_code:       category ? category._id.toString() : '',
+    description:        report.description,
+    agency_responsible: process.env.OPEN311_AGENCY || '',
+    service_notice:     '',
+    requested_datetime: created.toISOString(),
+    updated_datetime:   new Date(report.updatedAt).toISOString(),
+    expected_datetime:  category && OPEN_STATUSES.includes(report.status)
+      ? new Date(created.getTime() + category.slaDays * DAY_MS).toISOString()
+      : '',
+    address:            report.address || '',
+    address_id:         '',
+    zipcode:            '',
+    lat,
+    long,
+    media_url:          media ? new URL(media, baseUrl).href : ''
+  };
+}
+
+// Characters XML 1.0 does not allow at all, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function xmlElement(name, value) {
+  if (value && typeof value === 'object') {
+    return `<${name}>${Object.entries(value).map(([k, v]) => xmlElement(k, v)).join('')}</${name}>`;
+  }
+  return `<${name}>${escapeHtml(value ?? '').replace(INVALID_XML_CHARS, '')}</${name}>`;
+}
+
+/**
+ * Encode a list the way GeoReport v2 does in XML, e.g.
+ *   toXml('services', 'service', [...])  ->  <services><service>...</service></services>
+ */
+export function toXml(root, item, list) {
+  return '<?xml version="1.0" encoding="utf-8"?>'
+    + `<${root}>${list.map(entry => xmlElement(item, entry)).join('')}</${root}>`;
+}
+
+/**
+ * Send `list` in the requested format. Open311 responses are always
+ * lists; `root`/`item` name the XML elements.
+ */
+export function sendOpen311(res, format, { root, item, list, status = 200 }) {
+  res.status(status);
+  if (format === 'xml') {
+    return res.type('application/xml').send(toXml(root, item, list));
+  }
+  res.json(list);
+}
+
+/**
+ * Open311 error response: a list of { code, description }.
+ */
+export function sendOpen311Error(res, format, status, descriptions) {
+  const list = [].concat(descriptions).map(description => ({ code: status, description }));
+  sendOpen311(res, format, { root: 'errors', item: 'error', list, status });
+}
@@ -0,0 +1,38 @@
+/**
+ * Opaque cursors for keyset pagination. A cursor holds the sort value
+ * and _id of the last item on the previous page.
+ */
+export function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+/**
+ * Returns the decoded object, or null if the cursor is malformed.
+ */
+export function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return data && typeof data === 'object' ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Mongo filter for "items after the cursor" when sorting by
+ * { [field]: -1, _id: -1 }. Documents without the field (written before
+ * it existed) sort after every value; a null `value` means the previous
+ * page ended among them.
+ */
+export function afterCursor(field, value, id) {
+  if (value === null) {
+    return { [field]: null, _id: { $lt: id } };
+  }
+  return {
+    $or: [
+      { [field]: { $lt: value } },
+      { [field]: value, _id: { $lt: id } },
+      { [field]: null }
+    ]
+  };
+}
@@ -0,0 +1,18 @@
+import crypto from 'crypto';
+import { queueEmail } from './emailOutbox.js';
+
+const RESET_TTL_MS = 60 * 60 * 1000;   // 1h
+
+/**
+ * Give `user` a fresh password reset token and email them the link.
+ * Used by forgot-password and by admins resetting on a user's behalf.
+ */
+export async function startPasswordReset(user) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  user.resetPasswordToken = resetToken;
+  user.resetPasswordExpires = Date.now() + RESET_TTL_MS;
+  await user.save();
+
+  const resetURL = `${process.env.CLIENT_URL}/reset-password?token=${resetToken}`;
+  await queueEmail({ to: user.email, template: 'passwordReset', data: { name: user.name, resetURL } });
+}
@@ -0,0 +1,135 @@
+import redisClient from './redisClient.js';
+import { isSessionRevoked, isUserSuspended } from './sessionUtils.js';
+
+/**
+ * Real-time report events over Server-Sent Events.
+ *
+ * Writers call publishEvent(); the event goes through Redis pub/sub so
+ * every API instance receives it and forwards it to the SSE clients
+ * connected to that instance whose subscription matches.
+ *
+ * A stream lives only as long as the access token that opened it: it is
+ * closed when the token expires, and the session and account are
+ * re-checked on every heartbeat so logout and suspension end it too.
+ * Clients reconnect with a fresh token.
+ */
+const CHANNEL = 'realtime:events';
+const HEARTBEAT_MS = 25 * 1000;
+
+// SSE connections on this instance
+const clients = new Set();
+let subscriber;
+
+/**
+ * Publish an event to all instances. Never throws.
+ *  - type:     e.g. 'report:status', 'comment:created', 'report:upvote'
+ *  - reportId: report the event concerns
+ *  - ownerId:  the report's reporter (for "my reports" subscriptions)
+ *  - data:     event payload sent to clients
+ */
+export async function publishEvent({ type, reportId, ownerId, data }) {
+  try {
+    await redisClient.publish(CHANNEL, JSON.stringify({
+      type,
+      reportId: reportId.toString(),
+      ownerId:  ownerId ? ownerId.toString() : null,
+      data,
+      at: new Date().toISOString()
+    }));
+  } catch (err) {
+    console.error(`Error publishing ${type} event:`, err);
+  }
+}
+
+function matches(client, event) {
+  if (client.queue && client.role === 'admin') return true;
+  if (client.mine && event.ownerId === client.userId) return true;
+  return client.reportIds.has(event.reportId);
+}
+
+function dispatch(message) {
+  let event;
+  try {
+    event = JSON.parse(message);
+  } catch {
+    return;
+  }
+  for (const client of clients) {
+    if (matches(client, event)) {
+      client.res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  }
+}
+
+/**
+ * Subscribe this instance to the Redis channel (once, at startup).
+ */
+export async function startRealtime() {
+  if (subscriber) return;
+  subscriber = redisClient.duplicate();
+  subscriber.on('error', err => console.error('Redis subscriber error:', err));
+  await subscriber.connect();
+  await subscriber.subscribe(CHANNEL, dispatch);
+}
+
+// Why an open stream may no longer continue, or null if it may
+async function revalidate(client) {
+  if (client.expiresAt && Date.now() >= client.expiresAt) return 'token-expired';
+  if (client.sessionId && await isSessionRevoked(client.sessionId)) return 'session-revoked';
+  if (await isUserSuspended(client.userId)) return 'suspended';
+  return null;
+}
+
+/**
+ * Turn an authenticated request into an SSE stream. The caller checks
+ * that the user may follow `reportIds`.
+ *  - reportIds: reports to follow
+ *  - mine:      follow every report the user filed
+ *  - queue:     (admins) follow every report
+ */
+export function openStream(req, res, { reportIds = [], mine = false, queue = false }) {
+  res.set({
+    'Content-Type':      'text/event-stream',
+    'Cache-Control':     'no-cache',
+    'Connection':        'keep-alive',
+    'X-Accel-Buffering': 'no'          // stop nginx buffering the stream
+  });
+  res.flushHeaders();
+
+  const client = {
+    res,
+    userId:    req.user.id,
+    role:      req.user.role,
+    sessionId: req.sessionId,
+    expiresAt: req.tokenExpiresAt,
+    reportIds: new Set(reportIds),
+    mine,
+    queue
+  };
+  clients.add(client);
+
+  let heartbeat;
+  let expiry;
+  function close(reason) {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    if (!clients.delete(client)) return;
+    if (reason) res.end(`event: end\ndata: ${JSON.stringify({ reason })}\n\n`);
+  }
+
+  res.write(`event: ready\ndata: ${JSON.stringify({ reportIds, mine, queue })}\n\n`);
+  heartbeat = setInterval(async () => {
+    try {
+      const reason = await revalidate(client);
+      if (reason) return close(reason);
+    } catch (err) {
+      console.error('Error re-checking realtime stream:', err);
+    }
+    res.write(': keep-alive\n\n');
+  }, HEARTBEAT_MS);
+  if (client.expiresAt) {
+    expiry = setTimeout(() => close('token-expired'), Math.max(client.expiresAt - Date.now(), 0));
+  }
+
+  req.on('close', () => close());
+}
@@ -0,0 +1,213 @@
+import Report from '../models/Report.js';
+import { OPEN_STATUSES, RESOLVED_STATUSES } from './reportStatuses.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// $dateToString formats per bucket size (week is the ISO week, e.g. 2025-W07)
+export const INTERVAL_FORMATS = {
+  day:   '%Y-%m-%d',
+  week:  '%G-W%V',
+  month: '%Y-%m'
+};
+
+// Lower bounds (days) of the backlog age buckets; the last one is open-ended
+export const BACKLOG_AGE_BOUNDARIES = [0, 1, 3, 7, 14, 30, 90];
+
+// When a resolved report was resolved; reports fixed before fixedAt was
+// recorded fall back to their last update
+const RESOLVED_AT = { $ifNull: ['$fixedAt', '$updatedAt'] };
+
+function dateRange(from, to) {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to)   range.$lte = new Date(to);
+  return Object.keys(range).length ? range : null;
+}
+
+function categoryMatch(category) {
+  return category && category !== 'all' ? { issueType: category } : {};
+}
+
+// 0-based position of quantile p among a category's `count` sorted durations
+function quantilePosition(p) {
+  return { $floor: { $multiply: [p, { $subtract: ['$count', 1] }] } };
+}
+
+// The duration at `position`, or null on any other row ($max skips nulls)
+function valueAt(position) {
+  return { $max: { $cond: [{ $eq: ['$position', position] }, '$ms', null] } };
+}
+
+const toDays = ms => (ms == null ? null : Number((ms / DAY_MS).toFixed(1)));
+
+/**
+ * Reports created and resolved per bucket. Created reports are counted by
+ * createdAt, resolved ones by when they were resolved, both within the
+ * date range. Buckets without activity are omitted.
+ */
+export async function createdResolvedSeries({ from, to, category, interval = 'day', tz = 'UTC' }) {
+  const range = dateRange(from, to);
+  const bucket = field => ({
+    $dateToString: { format: INTERVAL_FORMATS[interval], date: field, timezone: tz }
+  });
+
+  const [created, resolved] = await Promise.all([
+    Report.aggregate([
+      { $match: { ...categoryMatch(category), ...(range && { createdAt: range }) } },
+      { $group: { _id: bucket('$createdAt'), count: { $sum: 1 } } }
+    ]),
+    Report.aggregate([
+      { $match: { ...categoryMatch(category), status: { $in: RESOLVED_STATUSES } } },
+      { $addFields: { resolvedAt: RESOLVED_AT } },
+      ...(range ? [{ $match: { resolvedAt: range } }] : []),
+      { $group: { _id: bucket('$resolvedAt'), count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const series = new Map();
+  for (const { _id, count } of created) {
+    series.set(_id, { period: _id, created: count, resolved: 0 });
+  }
+  for (const { _id, count } of resolved) {
+    const row = series.get(_id) || { period: _id, created: 0, resolved: 0 };
+    row.resolved = count;
+    series.set(_id, row);
+  }
+  return [...series.values()].sort((a, b) => a.period.localeCompare(b.period));
+}
+
+/**
+ * Median, p90 and mean time from creation to resolution per category, in
+ * days, for reports resolved within the date range. Durations are ranked
+ * in a window per category and only the rows at the quantile positions
+ * are kept, so no category's durations are gathered into one document
+ * (which would pass the 16MB limit). Needs MongoDB 5.0+.
+ */
+export async function resolutionTimes({ from, to, category }) {
+  const range = dateRange(from, to);
+  const whole = { documents: ['unbounded', 'unbounded'] };
+  const median = quantilePosition(0.5);
+  const p90 = quantilePosition(0.9);
+
+  const rows = await Report.aggregate([
+    { $match: { ...categoryMatch(category), status: { $in: RESOLVED_STATUSES } } },
+    { $addFields: { resolvedAt: RESOLVED_AT } },
+    ...(range ? [{ $match: { resolvedAt: range } }] : []),
+    { $project: { issueType: 1, ms: { $subtract: ['$resolvedAt', '$createdAt'] } } },
+    {
+      $setWindowFields: {
+        partitionBy: '$issueType',
+        sortBy:      { ms: 1 },
+        output: {
+          position: { $documentNumber: {} },
+          count:    { $count: {}, window: whole },
+          avgMs:    { $avg: '$ms', window: whole }
+        }
+      }
+    },
+    { $set: { position: { $subtract: ['$position', 1] } } },
+    { $match: { $expr: { $in: ['$position', [median, p90]] } } },
+    {
+      $group: {
+        _id:      '$issueType',
+        count:    { $first: '$count' },
+        avgMs:    { $first: '$avgMs' },
+        medianMs: valueAt(median),
+        p90Ms:    valueAt(p90)
+      }
+    },
+    { $sort: { count: -1 } }
+  ]).allowDiskUse(true);
+
+  return rows.map(r => ({
+    category:   r._id,
+    count:      r.count,
+    medianDays: toDays(r.medianMs),
+    p90Days:    toDays(r.p90Ms),
+    avgDays:    toDays(r.avgMs)
+  }));
+}
+
+/**
+ * How long currently open reports have been waiting, bucketed by age in
+ * days. The date range filters on createdAt.
+ */
+export async function backlogAges({ from, to, category, now = new Date() }) {
+  const range = dateRange(from, to);
+  const [result] = await Report.aggregate([
+    {
+      $match: {
+        ...categoryMatch(category),
+        status: { $in: OPEN_STATUSES },
+        ...(range && { createdAt: range })
+      }
+    },
+    { $project: { ageDays: { $divide: [{ $subtract: [now, '$createdAt'] }, DAY_MS] } } },
+    {
+      $facet: {
+        buckets: [
+          {
+            $bucket: {
+              groupBy:    '$ageDays',
+              boundaries: [...BACKLOG_AGE_BOUNDARIES, Infinity],
+              default:    'other',
+              output:     { count: { $sum: 1 } }
+            }
+          }
+        ],
+        summary: [
+          { $group: { _id: null, total: { $sum: 1 }, oldestDays: { $max: '$ageDays' } } }
+        ]
+      }
+    }
+  ]);
+
+  const counts = new Map(result.buckets.map(b => [b._id, b.count]));
+  const buckets = BACKLOG_AGE_BOUNDARIES.map((min, i) => {
+    const max = BACKLOG_AGE_BOUNDARIES[i + 1];
+    return {
+      label: max ? `${min}-${max}d` : `${min}d+`,
+      minDays: min,
+      maxDays: max ?? null,
+      count: counts.get(min) || 0
+    };
+  });
+  const summary = result.summary[0];
+  return {
+    total:      summary ? summary.total : 0,
+    oldestDays: summary ? toDays(summary.oldestDays * DAY_MS) : null,
+    buckets
+  };
+}
+
+/**
+ * Areas with the most reports in the date range. Reports are grouped into
+ * a lat/lng grid rounded to `precision` decimal places (2 ≈ 1 km).
+ */
+export async function topAreas({ from, to, category, precision = 2, limit = 10 }) {
+  const range = dateRange(from, to);
+  const lng = { $arrayElemAt: ['$location.coordinates', 0] };
+  const lat = { $arrayElemAt: ['$location.coordinates', 1] };
+
+  const rows = await Report.aggregate([
+    { $match: { ...categoryMatch(category), ...(range && { createdAt: range }) } },
+    {
+      $group: {
+        _id: { lng: { $round: [lng, precision] }, lat: { $round: [lat, precision] } },
+        count:   { $sum: 1 },
+        open:    { $sum: { $cond: [{ $in: ['$status', OPEN_STATUSES] }, 1, 0] } },
+        address: { $first: '$address' }
+      }
+    },
+    { $sort: { count: -1 } },
+    { $limit: limit }
+  ]);
+
+  return rows.map(r => ({
+    latitude:  r._id.lat,
+    longitude: r._id.lng,
+    count:     r.count,
+    open:      r.open,
+    address:   r.address || null
+  }));
+}
@@ -0,0 +1,22 @@
+import Report from '../models/Report.js';
+import Upvote from '../models/Upvote.js';
+import { shownCommentCounts } from './commentThreads.js';
+import { invalidateReportCaches } from './cacheUtils.js';
+
+/**
+ * Recompute a report's stored upvote and comment counts from the source
+ * collections (hidden and held comments, and replies under them, do not
+ * count). Setting exact values (rather than $inc) means a missed
+ * update can never leave a count permanently wrong. Cached report views
+ * are dropped, since they all show these counts.
+ */
+export async function recountReport(reportId) {
+  const [upvoteCount, comments] = await Promise.all([
+    Upvote.countDocuments({ report: reportId }),
+    shownCommentCounts([reportId])
+  ]);
+  const commentCount = comments.get(reportId.toString()) || 0;
+  await Report.updateOne({ _id: reportId }, { $set: { upvoteCount, commentCount } });
+  await invalidateReportCaches();
+  return { upvoteCount, commentCount };
+}
@@ -0,0 +1,49 @@
+import Report from '../models/Report.js';
+import notify from './notify.js';
+import { recordStatusChange } from './statusHistory.js';
+import { invalidateReportCaches } from './cacheUtils.js';
+import { processUploads, removeImages } from './imageProcessing.js';
+
+/**
+ * File a new report for `userId` from already-validated fields and the
+ * uploaded image files: process and store the images, create the report,
+ * start its status history, confirm to the reporter and drop cached views.
+ * If anything fails the stored images are removed again and the error is
+ * rethrown (InvalidImageError for uploads that are not really images).
+ */
+export async function createReport({ userId, issueType, latitude, longitude, description, address, files = [] }) {
+  let images = [];
+  try {
+    images = await processUploads(files);
+
+    const report = await Report.create({
+      user: userId,
+      issueType,
+      location: { type: 'Point', coordinates: [parseFloat(longitude), parseFloat(latitude)] },
+      address:  address || `${latitude}, ${longitude}`,   // optional for reporters, required on the report
+      description,
+      images,
+      imageUrls: images.map(img => img.full)   // storage keys
+    });
+    await recordStatusChange({ report: report._id, actor: userId, to: report.status });
+
+    // Notify the reporter (fire-and-forget)
+    notify({
+      userId,
+      type:    'report:created',
+      title:   'Report received',
+      message: `We received your ${issueType} report.`,
+      report:  report._id,
+      email: {
+        template: 'reportReceived',
+        data: { issueType, description, location: address || `${latitude}, ${longitude}` }
+      }
+    });
+
+    await invalidateReportCaches();
+    return report;
+  } catch (err) {
+    await removeImages(images);
+    throw err;
+  }
+}
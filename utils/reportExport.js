@@ -0,0 +1,108 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import Report from '../models/Report.js';
+import { RESOLVED_STATUSES } from './reportStatuses.js';
+
+export const EXPORT_FORMATS = {
+  csv:     { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  geojson: { contentType: 'application/geo+json',    extension: 'geojson' }
+};
+
+// Column order of the CSV export; GeoJSON uses the same names as properties
+const COLUMNS = [
+  'id', 'category', 'status', 'latitude', 'longitude', 'address', 'description',
+  'upvoteCount', 'commentCount', 'createdAt', 'updatedAt', 'resolvedAt'
+];
+const REPORTER_COLUMNS = ['reporterName', 'reporterEmail'];
+
+const iso = date => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Flatten a report into export fields. Reporter name and email are only
+ * added when `includeReporter` is set.
+ */
+export function exportRow(report, { includeReporter = false } = {}) {
+  const [longitude, latitude] = report.location.coordinates;
+  const resolved = RESOLVED_STATUSES.includes(report.status);
+  const row = {
+    id:           report._id.toString(),
+    category:     report.issueType,
+    status:       report.status,
+    latitude,
+    longitude,
+    address:      report.address || null,
+    description:  report.description,
+    upvoteCount:  report.upvoteCount ?? 0,
+    commentCount: report.commentCount ?? 0,
+    createdAt:    iso(report.createdAt),
+    updatedAt:    iso(report.updatedAt),
+    // Reports fixed before fixedAt was recorded fall back to their last update
+    resolvedAt:   resolved ? iso(report.fixedAt || report.updatedAt) : null
+  };
+  if (includeReporter) {
+    row.reporterName  = report.user?.name ?? null;
+    row.reporterEmail = report.user?.email ?? null;
+  }
+  return row;
+}
+
+/**
+ * One CSV cell: quoted when needed, and prefixed with ' when it would
+ * otherwise be read as a formula by a spreadsheet.
+ */
+export function csvCell(value) {
+  if (value == null) return '';
+  let s = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+async function* csvLines(cursor, options) {
+  const columns = options.includeReporter ? [...COLUMNS, ...REPORTER_COLUMNS] : COLUMNS;
+  yield columns.join(',') + '\r\n';
+  for await (const report of cursor) {
+    const row = exportRow(report, options);
+    yield columns.map(c => csvCell(row[c])).join(',') + '\r\n';
+  }
+}
+
+async function* geojsonChunks(cursor, options) {
+  yield '{"type":"FeatureCollection","features":[';
+  let first = true;
+  for await (const report of cursor) {
+    const { latitude, longitude, ...properties } = exportRow(report, options);
+    const feature = {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [longitude, latitude] },
+      properties
+    };
+    yield (first ? '' : ',') + JSON.stringify(feature);
+    first = false;
+  }
+  yield ']}';
+}
+
+/**
+ * Stream every report matching `filter` to `res` as CSV or GeoJSON.
+ * Documents are read through a cursor, so memory use does not grow with
+ * the size of the export.
+ */
+export async function streamReportExport(res, { filter, sort, format, includeReporter = false }) {
+  let query = Report.find(filter).sort(sort).lean();
+  if (includeReporter) query = query.populate('user', 'name email');
+  const cursor = query.cursor({ batchSize: 500 });
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="reports-${date}.${extension}"`);
+
+  const chunks = format === 'csv'
+    ? csvLines(cursor, { includeReporter })
+    : geojsonChunks(cursor, { includeReporter });
+  try {
+    await pipeline(Readable.from(chunks), res);
+  } finally {
+    await cursor.close();
+  }
+}
@@ -0,0 +1,110 @@
+import { recordStatusChange } from './statusHistory.js';
+import { publishEvent } from './realtime.js';
+import { RESOLVED_STATUSES } from './reportStatuses.js';
+import { invalidateReportCaches } from './cacheUtils.js';
+
+export { REPORT_STATUSES, OPEN_STATUSES, RESOLVED_STATUSES } from './reportStatuses.js';
+
+// How long after a report is marked Fixed its reporter may reopen it
+export const REOPEN_WINDOW_DAYS = parseFloat(process.env.REOPEN_WINDOW_DAYS) || 14;
+
+/**
+ * Allowed transitions: from -> to -> roles allowed to make the move.
+ * "owner" is the citizen who filed the report; "crew" is an assigned field worker.
+ * Closed and Merged are final.
+ */
+const TRANSITIONS = {
+  'Pending': {
+    'In Progress': ['admin'],
+    'Fixed':       ['admin'],
+    'Rejected':    ['admin'],
+    'Merged':      ['admin']
+  },
+  'In Progress': {
+    'Pending':     ['admin'],
+    'Fixed':       ['admin', 'crew'],   // crew only on reports assigned to them
+    'Rejected':    ['admin'],
+    'Merged':      ['admin']
+  },
+  'Fixed': {
+    'In Progress': ['admin'],
+    'Pending':     ['owner'],   // reopen
+    'Closed':      ['owner']    // confirm fixed
+  },
+  'Rejected': {
+    'Pending':     ['admin']
+  },
+  'Closed': {},
+  'Merged': {}
+};
+
+/**
+ * Can `role` move a report from `from` to `to`?
+ */
+export function canTransition(from, to, role) {
+  const roles = (TRANSITIONS[from] || {})[to];
+  return Boolean(roles && roles.includes(role));
+}
+
+/**
+ * Statuses `role` may move a report to from `from`.
+ */
+export function allowedTransitions(from, role) {
+  return Object.entries(TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([to]) => to);
+}
+
+/**
+ * Standard 409 body for a refused transition.
+ */
+export function transitionError(from, to, role) {
+  return {
+    msg: `Cannot change report status from ${from} to ${to}`,
+    allowed: allowedTransitions(from, role)
+  };
+}
+
+/**
+ * Whether a Fixed report is still inside the reopen window.
+ */
+export function withinReopenWindow(report, now = Date.now()) {
+  const fixedAt = report.fixedAt || report.updatedAt;
+  return now - new Date(fixedAt).getTime() <= REOPEN_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Apply an already-validated transition: append to the status history,
+ * update status, reject reason and fixedAt, save, drop cached report
+ * views and tell live clients. The history entry is written first and
+ * removed again if the save fails, so a status never changes without
+ * one. Bulk callers pass invalidateCache: false and invalidate once when
+ * the whole batch is done.
+ */
+export async function applyTransition(report, to, { actor, note, rejectReason, invalidateCache = true } = {}) {
+  const from = report.status;
+  const entry = await recordStatusChange({ report: report._id, actor, from, to, note });
+
+  report.status = to;
+  report.rejectReason = to === 'Rejected' ? rejectReason.trim() : undefined;
+  if (to === 'Fixed') {
+    report.fixedAt = Date.now();
+  } else if (!RESOLVED_STATUSES.includes(to)) {
+    report.fixedAt = undefined;
+  }
+  try {
+    await report.save();
+  } catch (err) {
+    await entry.deleteOne();
+    throw err;
+  }
+
+  if (invalidateCache) await invalidateReportCaches();
+  publishEvent({
+    type:     'report:status',
+    reportId: report._id,
+    ownerId:  report.user,
+    data:     { from, to, rejectReason: report.rejectReason, note }
+  });
+  return report;
+}
@@ -0,0 +1,161 @@
+import Report from '../models/Report.js';
+import Comment, { VISIBLE_COMMENTS } from '../models/Comment.js';
+import { escapeHtml } from './html.js';
+import { shownCommentIds } from './commentThreads.js';
+
+// A match in a comment ranks below the same match in the report itself
+const COMMENT_WEIGHT = 0.5;
+// Characters of context either side of a highlighted term
+const SNIPPET_RADIUS = 60;
+
+function searchTerms(q) {
+  return [...new Set(
+    q.toLowerCase()
+      .replace(/"/g, ' ')
+      .split(/\s+/)
+      .filter(t => t.length >= 2 && !t.startsWith('-'))
+  )];
+}
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Excerpt of `text` around the first search term, HTML-escaped, with
+ * every term wrapped in <mark>. Null if no term occurs in the text.
+ * (Mongo matches stemmed words, so prefixes like "light" also mark "lights".)
+ * Terms are matched on the raw text and each piece escaped afterwards,
+ * so a term can never match inside an escaped entity.
+ */
+export function highlight(text, terms) {
+  if (!text || !terms.length) return null;
+  // Longest first, so "lights" is marked whole rather than as "light"
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  const pattern = new RegExp(alternatives.join('|'), 'gi');
+  const first = text.search(pattern);
+  if (first === -1) return null;
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS);
+  const excerpt = text.slice(start, end);
+
+  let html = '';
+  let last = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    html += escapeHtml(excerpt.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(excerpt.slice(last));
+
+  return (start > 0 ? '…' : '') + html + (end < text.length ? '…' : '');
+}
+
+// Best visible comment matching `q` per report within `filter`, as a
+// Map of report id -> { _id, report, score }. The report filter is
+// applied in the database, so matches on other reports cost nothing.
+async function commentMatches(q, filter) {
+  const hits = await Comment.aggregate([
+    { $match: { $text: { $search: q }, ...VISIBLE_COMMENTS } },
+    { $project: { report: 1, thread: 1, score: { $meta: 'textScore' } } },
+    {
+      $lookup: {
+        from:     Report.collection.name,
+        let:      { report: '$report' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$report'] } } },
+          { $match: Report.where(filter).cast() },
+          { $project: { _id: 1 } }
+        ],
+        as: 'inFilter'
+      }
+    },
+    { $match: { inFilter: { $ne: [] } } },
+    { $sort: { score: -1 } }
+  ]);
+
+  // Replies under a hidden or held comment are not shown, so do not match
+  const threads = [...new Set(hits.map(c => (c.thread || c._id).toString()))];
+  const threadMembers = threads.length
+    ? await Comment.find({ $or: [{ _id: { $in: threads } }, { thread: { $in: threads } }] })
+      .select('parent status')
+      .lean()
+    : [];
+  const shown = shownCommentIds(threadMembers);
+
+  // Hits are sorted by score, so the first shown one per report is its best
+  const best = new Map();
+  hits.filter(c => shown.has(c._id.toString())).forEach(c => {
+    const id = c.report.toString();
+    if (!best.has(id)) best.set(id, { _id: c._id, report: c.report, score: c.score });
+  });
+  return best;
+}
+
+// Every report matching `q` in its own text or a visible comment, as
+// { _id, score, matchedComment? } best first. Only IDs and scores are
+// held, so the full result set is ranked without a candidate cap.
+async function rankMatches(q, filter) {
+  const [reportHits, bestComment] = await Promise.all([
+    Report.find({ ...filter, $text: { $search: q } }, { _id: 1, score: { $meta: 'textScore' } }).lean(),
+    commentMatches(q, filter)
+  ]);
+
+  const ranked = new Map(reportHits.map(r => [r._id.toString(), { _id: r._id, score: r.score }]));
+  for (const [id, comment] of bestComment) {
+    if (!ranked.has(id)) ranked.set(id, { _id: comment.report, score: 0 });
+    const entry = ranked.get(id);
+    entry.score += COMMENT_WEIGHT * comment.score;
+    entry.matchedComment = comment._id;
+  }
+  return [...ranked.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * A Report query selecting exactly the reports search returns for `q`
+ * within `filter`, for callers that stream or count the whole result
+ * set instead of ranking it. Report text is matched by $text in the
+ * query itself; only reports found through a comment are listed by ID.
+ */
+export async function searchFilter({ q, filter = {} }) {
+  const viaComments = [...(await commentMatches(q, filter)).values()].map(c => c.report);
+  return {
+    $and: [filter, { $or: [{ $text: { $search: q } }, { _id: { $in: viaComments } }] }]
+  };
+}
+
+/**
+ * Relevance-ranked text search over report descriptions, addresses and
+ * comment text, restricted by `filter` (status, type, geo, ...).
+ * `filter` must not use $near; use $geoWithin instead.
+ *
+ * Returns { total, reports } where each report is a lean object with
+ * `score` and `highlights: [{ field, snippet }]`, user populated.
+ */
+export async function searchReports({ q, filter = {}, page = 1, limit = 20, userFields = 'name' }) {
+  const ranked = await rankMatches(q, filter);
+  const pageItems = ranked.slice((page - 1) * limit, page * limit);
+
+  const [docs, comments] = await Promise.all([
+    Report.find({ _id: { $in: pageItems.map(r => r._id) } }).populate('user', userFields).lean(),
+    Comment.find({ _id: { $in: pageItems.map(r => r.matchedComment).filter(Boolean) } }).select('text').lean()
+  ]);
+  const byId = new Map(docs.map(r => [r._id.toString(), r]));
+  const commentText = new Map(comments.map(c => [c._id.toString(), c.text]));
+
+  const terms = searchTerms(q);
+  const reports = pageItems
+    .filter(({ _id }) => byId.has(_id.toString()))   // deleted since ranking
+    .map(({ _id, score, matchedComment }) => {
+      const r = byId.get(_id.toString());
+      return {
+        ...r,
+        score,
+        highlights: [
+          { field: 'description', snippet: highlight(r.description, terms) },
+          { field: 'address',     snippet: highlight(r.address, terms) },
+          { field: 'comment',     snippet: matchedComment ? highlight(commentText.get(matchedComment.toString()), terms) : null }
+        ].filter(h => h.snippet)
+      };
+    });
+
+  return { total: ranked.length, reports };
+}
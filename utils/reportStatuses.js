@@ -0,0 +1,11 @@
+// Status constants, kept free of imports so models can use them.
+// Transitions between them live in reportLifecycle.js.
+
+// Every status a report can be in
+export const REPORT_STATUSES = ['Pending', 'In Progress', 'Fixed', 'Rejected', 'Closed', 'Merged'];
+
+// Still waiting on the city
+export const OPEN_STATUSES = ['Pending', 'In Progress'];
+
+// The issue has been dealt with (Closed = reporter confirmed the fix)
+export const RESOLVED_STATUSES = ['Fixed', 'Closed'];
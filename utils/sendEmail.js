@@ -1,28 +1,36 @@
 import nodemailer from 'nodemailer';
 
-export default async function sendEmail({ to, subject, html }) {
-  const transporter = nodemailer.createTransport(
-    {
-      host: process.env.SMTP_HOST,
-      port: parseInt(process.env.SMTP_PORT, 10),
-      secure: process.env.SMTP_PORT === '465',
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS
-      },
-      logger: true,
-      debug: true
-    },
-    {
-      from: `"No-Reply" <Mobile Appz>` // default sender
-    }
-  );
+// One pooled transport for the whole process
+let transporter;
 
-  try {
-    const info = await transporter.sendMail({ to, subject, html });
-    console.log('📧 Email sent:', info.messageId);
-  } catch (err) {
-    console.error('❌ Error sending email:', err);
-    throw err;
+function getTransporter() {
+  if (!transporter) {
+    const debug = process.env.SMTP_DEBUG === 'true';
+    transporter = nodemailer.createTransport(
+      {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10),
+        secure: process.env.SMTP_PORT === '465',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,          // local SMTP catchers usually take no auth
+        pool: true,
+        logger: debug,
+        debug
+      },
+      {
+        from: process.env.SMTP_FROM || `"No-Reply" <Mobile Appz>` // default sender
+      }
+    );
   }
+  return transporter;
+}
+
+/**
+ * Send one email straight away. Routes should not call this directly;
+ * use queueEmail (utils/emailOutbox.js) so failures are retried.
+ */
+export default async function sendEmail({ to, subject, html, text }) {
+  const info = await getTransporter().sendMail({ to, subject, html, text });
+  return info.messageId;
 }
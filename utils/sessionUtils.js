@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import redisClient from './redisClient.js';
+
+// Access tokens are short-lived; refresh tokens keep a device signed in
+export const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const MAX_PREVIOUS_HASHES = 10;
+// How long the per-request suspension check trusts its cached answer
+const SUSPENSION_CACHE_SECONDS = 60;
+
+const revokedKey = sid => `auth:revoked:${sid}`;
+const suspendedKey = userId => `auth:suspended:${userId}`;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+function signAccessToken(user, sid) {
+  const payload = { user: { id: user.id || user._id.toString(), role: user.role }, sid };
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+}
+
+/**
+ * Start a new session for `user` on the device making `req`.
+ * Returns the token pair to hand to the client.
+ */
+export async function createSession(user, req) {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user:             user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent:        req.get('user-agent'),
+    ip:               req.ip,
+    expiresAt:        new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return {
+    token:     signAccessToken(user, session.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair (the old refresh token stops working).
+ * Presenting an already-rotated token revokes the whole session, since it
+ * means the token was copied. Returns null if the token is not usable.
+ */
+export async function rotateSession(refreshToken, req) {
+  const hash = hashToken(refreshToken);
+
+  const reused = await Session.findOne({ previousTokenHashes: hash, revokedAt: null });
+  if (reused) {
+    await revokeSession(reused);
+    return null;
+  }
+
+  const session = await Session.findOne({
+    refreshTokenHash: hash,
+    revokedAt:        null,
+    expiresAt:        { $gt: new Date() }
+  }).populate('user', 'role suspendedAt');
+  if (!session || !session.user) return null;
+  if (session.user.suspendedAt) {
+    await revokeSession(session);
+    return null;
+  }
+
+  const nextToken = newRefreshToken();
+  session.previousTokenHashes = [hash, ...session.previousTokenHashes].slice(0, MAX_PREVIOUS_HASHES);
+  session.refreshTokenHash = hashToken(nextToken);
+  session.lastUsedAt = Date.now();
+  session.userAgent = req.get('user-agent') || session.userAgent;
+  session.ip = req.ip;
+  await session.save();
+
+  return {
+    token:        signAccessToken(session.user, session.id),
+    refreshToken: nextToken,
+    expiresIn:    ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Revoke one session. Its access tokens are blocked in Redis until they expire.
+ */
+export async function revokeSession(session) {
+  if (!session.revokedAt) {
+    session.revokedAt = Date.now();
+    await session.save();
+  }
+  await redisClient.setEx(revokedKey(session.id), ACCESS_TOKEN_TTL_SECONDS, '1');
+}
+
+/**
+ * Revoke every active session a user has (logout everywhere, password change/reset).
+ */
+export async function revokeAllSessions(userId) {
+  const sessions = await Session.find({ user: userId, revokedAt: null });
+  await Promise.all(sessions.map(revokeSession));
+  return sessions.length;
+}
+
+/**
+ * Used by the auth middleware on every request.
+ */
+export async function isSessionRevoked(sid) {
+  return Boolean(await redisClient.exists(revokedKey(sid)));
+}
+
+/**
+ * Suspend a user: block their access tokens and end every session.
+ * User.suspendedAt is the record; Redis caches it for the per-request
+ * check (login and refresh read the record itself). Call this before
+ * saving the record, so no request gets through in between.
+ */
+export async function suspendUserAccess(userId) {
+  await redisClient.setEx(suspendedKey(userId), SUSPENSION_CACHE_SECONDS, '1');
+  await revokeAllSessions(userId);
+}
+
+/**
+ * Lift the block; call once the record no longer says suspended.
+ */
+export async function restoreUserAccess(userId) {
+  await redisClient.setEx(suspendedKey(userId), SUSPENSION_CACHE_SECONDS, '0');
+}
+
+/**
+ * Used by the auth middleware on every request. On a cache miss (expired,
+ * evicted, Redis restarted) the user record decides.
+ */
+export async function isUserSuspended(userId) {
+  const flag = await redisClient.get(suspendedKey(userId));
+  if (flag !== null) return flag === '1';
+
+  const user = await User.findById(userId).select('suspendedAt').lean();
+  const suspended = Boolean(user && user.suspendedAt);
+  // NX: a suspension flagged while we were reading wins over what we read
+  await redisClient.set(suspendedKey(userId), suspended ? '1' : '0', {
+    expiration: { type: 'EX', value: SUSPENSION_CACHE_SECONDS },
+    condition:  'NX'
+  });
+  return suspended;
+}
+
+/**
+ * Active (not revoked, not expired) sessions for a user, newest activity first.
+ */
+export function listActiveSessions(userId) {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
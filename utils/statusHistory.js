@@ -0,0 +1,25 @@
+import StatusHistory from '../models/StatusHistory.js';
+
+/**
+ * Append a status transition to a report's history.
+ * `from` is null for the entry written when the report is created.
+ */
+export function recordStatusChange({ report, actor, from = null, to, note }) {
+  return StatusHistory.create({
+    report,
+    actor,
+    from,
+    to,
+    note: note && note.trim() ? note.trim() : undefined
+  });
+}
+
+/**
+ * Return a report's history, oldest first, with actor names and roles.
+ */
+export function getTimeline(reportId) {
+  return StatusHistory.find({ report: reportId })
+    .sort({ createdAt: 1 })
+    .populate('actor', 'name role')
+    .lean();
+}
@@ -0,0 +1,94 @@
+import createLocalDriver from './local.js';
+import createS3Driver from './s3.js';
+
+/**
+ * Upload storage, chosen by STORAGE_DRIVER (local | s3).
+ *
+ * Reports store object keys (e.g. "reports/<uuid>-full.jpg"), never URLs;
+ * call getUrl/resolveReportImages when sending a report to a client.
+ */
+const signUrls      = process.env.STORAGE_SIGN_URLS === 'true';
+const urlTtlSeconds = parseInt(process.env.STORAGE_URL_TTL_SECONDS, 10) || 60 * 60;
+
+const storage = process.env.STORAGE_DRIVER === 's3'
+  ? createS3Driver({
+      bucket:          process.env.S3_BUCKET,
+      region:          process.env.S3_REGION || 'us-east-1',
+      endpoint:        process.env.S3_ENDPOINT,          // e.g. http://localhost:9000 for MinIO
+      accessKeyId:     process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      publicUrl:       process.env.S3_PUBLIC_URL,
+      signUrls,
+      urlTtlSeconds
+    })
+  : createLocalDriver({
+      dir:           process.env.UPLOAD_DIR || 'uploads',
+      publicPath:    '/uploads',
+      signUrls,
+      signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+      urlTtlSeconds
+    });
+
+export default storage;
+
+const LEGACY_PREFIX = '/uploads/';
+const DELETE_ATTEMPTS = 3;
+
+/**
+ * Reports created before keys were stored hold "/uploads/<file>" paths.
+ */
+export function toKey(value) {
+  return value && value.startsWith(LEGACY_PREFIX) ? value.slice(LEGACY_PREFIX.length) : value;
+}
+
+/**
+ * Delete objects, retrying each a few times. Failures are logged rather
+ * than thrown so a storage hiccup never undoes a committed database write;
+ * anything left behind is picked up by the orphaned-file purge.
+ */
+export async function deleteObjects(keys = []) {
+  await Promise.all(keys.filter(Boolean).map(toKey).map(async key => {
+    for (let attempt = 1; attempt <= DELETE_ATTEMPTS; attempt++) {
+      try {
+        await storage.delete(key);
+        return;
+      } catch (err) {
+        if (attempt === DELETE_ATTEMPTS) {
+          console.error(`Failed to delete stored object ${key}:`, err);
+        }
+      }
+    }
+  }));
+}
+
+/**
+ * Every object key a report references (all image variants plus legacy imageUrls).
+ */
+export function reportObjectKeys(report) {
+  const keys = new Set((report.imageUrls || []).map(toKey));
+  (report.images || []).forEach(img => {
+    ['thumb', 'medium', 'full'].forEach(v => img[v] && keys.add(toKey(img[v])));
+  });
+  return [...keys];
+}
+
+/**
+ * Return plain copies of report(s) with image keys replaced by URLs
+ * the client can fetch. Accepts a document, a lean object or an array.
+ */
+export async function resolveReportImages(reports) {
+  if (Array.isArray(reports)) return Promise.all(reports.map(resolveReportImages));
+  if (!reports) return reports;
+
+  const report = typeof reports.toObject === 'function' ? reports.toObject() : { ...reports };
+  const url = key => (key ? storage.getUrl(toKey(key)) : key);
+
+  report.imageUrls = await Promise.all((report.imageUrls || []).map(url));
+  report.images = await Promise.all((report.images || []).map(async img => ({
+    ...img,
+    thumb:  await url(img.thumb),
+    medium: await url(img.medium),
+    full:   await url(img.full)
+  })));
+  return report;
+}
@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs/promises';
+import express from 'express';
+
+/**
+ * Local-disk storage driver. Objects live under UPLOAD_DIR and are served
+ * by Express at /uploads. With signing on, /uploads only serves requests
+ * carrying a valid, unexpired ?expires=&signature= pair.
+ */
+export default function createLocalDriver({ dir, publicPath, signUrls, signingSecret, urlTtlSeconds }) {
+  const root = path.resolve(dir);
+
+  function fullPath(key) {
+    const target = path.resolve(root, key);
+    if (!target.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return target;
+  }
+
+  function sign(key, expires) {
+    return crypto.createHmac('sha256', signingSecret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  async function walk(current, prefix) {
+    const entries = await fs.readdir(current, { withFileTypes: true }).catch(() => []);
+    const keys = [];
+    for (const entry of entries) {
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        keys.push(...await walk(path.join(current, entry.name), rel));
+      } else {
+        keys.push(rel);
+      }
+    }
+    return keys;
+  }
+
+  return {
+    name: 'local',
+
+    async put(key, data) {
+      const target = fullPath(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, data);
+    },
+
+    // Readable stream of the object's bytes
+    async get(key) {
+      const handle = await fs.open(fullPath(key));
+      return handle.createReadStream();
+    },
+
+    async delete(key) {
+      await fs.unlink(fullPath(key)).catch(err => {
+        if (err.code !== 'ENOENT') throw err;   // already gone is fine
+      });
+    },
+
+    async list(prefix = '') {
+      const keys = await walk(root, '');
+      return keys.filter(k => k.startsWith(prefix));
+    },
+
+    async getUrl(key) {
+      const url = `${publicPath}/${key}`;
+      if (!signUrls) return url;
+      const expires = Math.floor(Date.now() / 1000) + urlTtlSeconds;
+      return `${url}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    // Express handler for GET /uploads/*
+    middleware() {
+      const serve = express.static(root);
+      if (!signUrls) return serve;
+
+      return function (req, res, next) {
+        const key = decodeURIComponent(req.path.replace(/^\//, ''));
+        const expires = parseInt(req.query.expires, 10);
+        const signature = String(req.query.signature || '');
+        const expected = sign(key, expires);
+        const valid = expires > Date.now() / 1000
+          && signature.length === expected.length
+          && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+        if (!valid) {
+          return res.status(403).json({ msg: 'Link is invalid or has expired' });
+        }
+        serve(req, res, next);
+      };
+    }
+  };
+}
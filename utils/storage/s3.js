@@ -0,0 +1,77 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  GetObjectCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, ...). Set `endpoint` for
+ * anything that is not AWS; path-style addressing is used in that case.
+ * Without signing, URLs are built from `publicUrl` (bucket must allow reads).
+ */
+export default function createS3Driver({
+  bucket, region, endpoint, accessKeyId, secretAccessKey, publicUrl, signUrls, urlTtlSeconds
+}) {
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, data, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: data,
+        ContentType: contentType
+      }));
+    },
+
+    // Readable stream of the object's bytes
+    async get(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Body;
+    },
+
+    async delete(key) {
+      // S3 deletes are idempotent: missing keys do not error
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async list(prefix = '') {
+      const keys = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken
+        }));
+        (page.Contents || []).forEach(obj => keys.push(obj.Key));
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return keys;
+    },
+
+    async getUrl(key) {
+      if (!signUrls && publicUrl) return `${publicUrl.replace(/\/$/, '')}/${key}`;
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({ Bucket: bucket, Key: key }),
+        { expiresIn: urlTtlSeconds }
+      );
+    },
+
+    // Objects are fetched from the bucket directly; nothing to mount
+    middleware() {
+      return null;
+    }
+  };
+}